@@ -0,0 +1,140 @@
+/**
+ * Drone Night POV - Public Scripting API
+ * Stable `window.DroneClip` facade over whichever renderer is active.
+ * Renderers call DroneClipHost.register(name, impl) once they are ready and
+ * report playback through the returned host (emit, trackFrame), so scripts
+ * never need to know if WebGL or the 2D fallback is running.
+ */
+
+(function() {
+  'use strict';
+
+  const EVENTS = ['ready', 'shotchange', 'beat', 'ended', 'recordingstart', 'recordingstop', 'error'];
+  const METHODS = ['play', 'pause', 'seek', 'setSpeed', 'getState'];
+  const ASYNC_METHODS = ['loadScene', 'loadAudio', 'renderFrame']; // Always return Promises
+  const LOOP_BEAT_WINDOW = 0.1; // Seconds
+
+  const listeners = {};
+  EVENTS.forEach(type => { listeners[type] = []; });
+
+  let backend = null;
+  let resolveReady;
+  const ready = new Promise(resolve => { resolveReady = resolve; });
+
+  function call(method, args) {
+    if (!backend) {
+      throw new Error(`DroneClip.${method}(): no renderer yet (await DroneClip.ready)`);
+    }
+    return backend.impl[method].apply(null, args);
+  }
+
+  // ============================================================================
+  // EVENTS
+  // ============================================================================
+
+  function on(type, handler) {
+    if (!listeners[type]) {
+      throw new Error(`DroneClip.on(): unknown event "${type}" (expected one of: ${EVENTS.join(', ')})`);
+    }
+    listeners[type].push(handler);
+    return () => off(type, handler);
+  }
+
+  function off(type, handler) {
+    const list = listeners[type];
+    if (!list) return;
+    const index = list.indexOf(handler);
+    if (index !== -1) list.splice(index, 1);
+  }
+
+  function once(type, handler) {
+    const remove = on(type, event => {
+      remove();
+      handler(event);
+    });
+    return remove;
+  }
+
+  // A throwing listener never breaks playback or the other listeners
+  function emit(type, detail) {
+    const event = Object.assign({ type, renderer: backend ? backend.name : null }, detail);
+    listeners[type].slice().forEach(handler => {
+      try {
+        handler(event);
+      } catch (err) {
+        console.error('[DroneClip]', `"${type}" listener failed:`, err);
+      }
+    });
+  }
+
+  // ============================================================================
+  // RENDERER SIDE
+  // ============================================================================
+
+  function register(name, impl) {
+    backend = { name, impl };
+    let lastShotIndex = -1;
+    let lastBeatIndex = -1;
+
+    // Call once per evaluated frame: emits shotchange on any shot switch
+    // (seeks included) and beat only when playback crosses one
+    function trackFrame(state, beats, playing) {
+      if (!state) return;
+
+      if (state.shotIndex !== lastShotIndex) {
+        const previous = lastShotIndex;
+        lastShotIndex = state.shotIndex;
+        emit('shotchange', { time: state.time, shot: state.shot.name, index: state.shotIndex, previous });
+      }
+
+      let beatIndex = -1;
+      if (Array.isArray(beats)) {
+        while (beatIndex + 1 < beats.length && beats[beatIndex + 1] <= state.time) beatIndex++;
+      }
+      // Backward jumps (loop wraps) only count a beat they land right on
+      const crossed = beatIndex > lastBeatIndex ||
+        (beatIndex >= 0 && beatIndex < lastBeatIndex && state.time - beats[beatIndex] < LOOP_BEAT_WINDOW);
+      if (playing && crossed) {
+        emit('beat', { time: state.time, index: beatIndex, beat: beats[beatIndex] });
+      }
+      lastBeatIndex = beatIndex;
+    }
+
+    resolveReady(window.DroneClip);
+    emit('ready', {});
+
+    return { emit, trackFrame };
+  }
+
+  // ============================================================================
+  // PUBLIC FACADE
+  // ============================================================================
+
+  const api = {
+    EVENTS: EVENTS.slice(),
+    ready,
+    get renderer() {
+      return backend ? backend.name : null;
+    },
+    on,
+    off,
+    once
+  };
+
+  METHODS.forEach(method => {
+    api[method] = function() {
+      return call(method, arguments);
+    };
+  });
+
+  ASYNC_METHODS.forEach(method => {
+    api[method] = function() {
+      const args = arguments;
+      return new Promise(resolve => resolve(call(method, args)));
+    };
+  });
+
+  window.DroneClip = api;
+  window.DroneClipHost = { register };
+
+})();
@@ -18,15 +18,27 @@
   let currentTime = 0;
   let isPlaying = false;
   let playbackSpeed = 1.0;
+  const SPEED_RANGE = [0.5, 2.0];
   let hudVisible = false;
   let lastFrameTime = 0;
   let fps = 60;
   let isInitialized = false;
+  let loopPlayback = true; // Wrap to the start at the end (?loop=0 stops instead)
+  let urlParams = {}; // Parsed by DroneParams (?preset=, ?t=, ?autoplay=, ...)
 
-  // Camera path
-  let cameraCurve = null;
+  // Output frame (src/formats.js): shape of the preview and of exports
+  let outputAspect = window.DroneFormats.DEFAULT_ASPECT;
+  let safeGuidesVisible = false;
+
+  // Camera path (evaluated by DroneTimeline)
   let currentShot = null;
-  let cameraOscillationPhase = 0;
+
+  // Public API host (src/api.js): emit() and trackFrame(), once registered
+  let clipHost = null;
+
+  // Transport (scrubbing, loop points)
+  let isScrubbing = false;
+  let loopRange = null; // [in, out] seconds, or null
 
   // Audio (optional)
   let audioContext = null;
@@ -34,21 +46,61 @@
   let analyser = null;
   let audioData = null;
   let audioElement = null;
+  let audioUrl = null; // Object URL of the loaded track (revoked on replace)
+  let audioGain = null; // GainNode applying the meta.audio fades
+  let audioPlayBlocked = false; // play() was refused (autoplay policy); retried on the next user action
+  const playClock = window.DroneClock.createClock();
+  let bandTracker = null; // DroneAudioReactive tracker for the loaded track
+  let lastBandTime = null; // Timeline time of the previous spectrum read (null after a seek)
   let hasAudio = false;
+  let recordingDestination = null; // MediaStreamAudioDestinationNode for recordings
+
+  // Beat detection (from the loaded track)
+  let detectedBeats = null; // { bpm, beats, offset, duration, confidence }
+  let beatAnalysisToken = 0;
+
+  // Loaded track, decoded once for the audio lane and beat detection
+  let trackAnalysis = null; // { duration, samples, sampleRate, peaks, spectrogram }
+  let audioLaneView = 'wave'; // 'wave' | 'spectrum'
 
   // Recording
+  const RECORDING_FPS = 25;
   let mediaRecorder = null;
   let recordedChunks = [];
   let isRecording = false;
+  let isRecordingAudio = false;
+  let recordingPixelRatio = null; // Preview pixel ratio to restore after a take
+
+  // Offline export (frame-accurate)
+  let isExporting = false;
+  let exportCancelled = false;
 
   // Scene objects
   let cityGroup = null;
+  let cityLayout = null;
+  let windowMaterial = null; // Audio-reactive window brightness
   let bridgeGroup = null;
+  let bridgeColliders = []; // { label, min, max } boxes for the path check
+  let worldKey = null; // Seed + city + paths the current geometry was built from
 
   // Post-processing
   let bloomPass = null;
   let vignettePass = null;
 
+  // Shot transitions (crossfades render the other shot into transitionTarget)
+  let transitionPass = null;
+  let transitionTarget = null;
+  let transitionCamera = null;
+
+  // Scene titles (src/titles.js), drawn on titleCanvas and composited last
+  let titlePass = null;
+  let titleCanvas = null;
+  let titleCtx = null;
+  let titleTexture = null;
+
+  // Timeline editor (src/editor.js)
+  let editor = null;
+
   // UI references
   let playPauseBtn = null;
   let playbackProgressEl = null;
@@ -93,9 +145,13 @@
       console.log(LOG_PREFIX, 'Core systems initialized');
       initStatus.textContent = 'Loading scene...';
 
+      const parsed = window.DroneParams.parse(window.location.search);
+      urlParams = parsed.params;
+      parsed.warnings.forEach(warning => console.warn(LOG_PREFIX, warning));
+
       // Phase 2: Load scene data (async, non-blocking)
       // This runs in background, UI is already functional
-      loadSceneDataAsync().then(() => {
+      loadInitialScene().then(() => {
         console.log(LOG_PREFIX, 'Scene data loaded');
       }).catch(err => {
         console.warn(LOG_PREFIX, 'Scene load failed, using fallback:', err);
@@ -117,40 +173,98 @@
     }
   }
 
-  async function loadSceneDataAsync() {
-    // Try to load scene.json with timeout, but don't block if it fails
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 3000); // 3s timeout
+  // ?scene=path wins over ?preset=id, which wins over the default preset;
+  // a bad URL or unknown id falls back to the next one
+  async function loadInitialScene() {
+    const url = urlParams.scene;
+    let presetId = urlParams.preset;
+    if (presetId && !window.DronePresets.get(presetId)) {
+      console.warn(LOG_PREFIX, `Unknown ?preset=${presetId}, using default`);
+      presetId = undefined;
+    }
+
+    let loaded = false;
+    if (url) {
+      try {
+        sceneData = await window.DronePresets.loadUrl(url, acceptScene);
+        loaded = true;
+        console.log(LOG_PREFIX, `✓ Loaded ${url} (?scene=)`);
+      } catch (err) {
+        console.warn(LOG_PREFIX, `Failed to load ?scene=${url}:`, err.message);
+        await loadSceneDataAsync(presetId);
+        loaded = true;
+        // Validation failures already listed their issues
+        if (!err.sceneIssues) showStatus(`✗ Scene ${url}: ${err.message}; using a preset`, 6000);
+      }
+    }
 
-      const response = await fetch('scene.json', { signal: controller.signal });
-      clearTimeout(timeoutId);
+    if (!loaded) {
+      await loadSceneDataAsync(presetId);
+      const presetSelect = document.getElementById('preset-select');
+      if (presetSelect && presetId) presetSelect.value = presetId;
+    }
 
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      sceneData = await response.json();
-      console.log(LOG_PREFIX, '✓ Loaded scene.json');
-    } catch (err) {
-      console.warn(LOG_PREFIX, 'Failed to fetch scene.json:', err.message);
-      // Fallback to inline scene
-      sceneData = loadInlineScene();
+    if (urlParams.seed !== undefined && sceneData && sceneData.meta) {
+      sceneData.meta.seed = urlParams.seed;
+      console.log(LOG_PREFIX, `Seed overridden by ?seed=${urlParams.seed}`);
     }
   }
 
-  function loadInlineScene() {
-    console.log(LOG_PREFIX, 'Using inline fallback scene');
+  // Load a preset from src/presets.js (file, then inline copy); the
+  // hardcoded minimal scene is the last resort. Returns the preset or null.
+  async function loadSceneDataAsync(presetId) {
+    const id = presetId || window.DronePresets.DEFAULT_ID;
     try {
-      const scriptEl = document.getElementById('scene-inline');
-      if (!scriptEl) {
-        throw new Error('Inline scene not found');
+      const result = await window.DronePresets.load(id, acceptScene);
+      sceneData = result.data;
+
+      if (result.local) {
+        console.warn(LOG_PREFIX, `Using inline copy of "${id}"`, result.fetchError ? `(${result.fetchError.message})` : '(file:// mode)');
+        // Keep validation issues from the file on screen
+        if (!result.fetchError || !result.fetchError.sceneIssues) {
+          showStatus('Local mode (inline scene)', 3000);
+        }
+      } else {
+        console.log(LOG_PREFIX, `✓ Loaded ${result.preset.file}`);
       }
-      const data = JSON.parse(scriptEl.textContent);
-      showStatus('Local mode (inline scene)', 3000);
-      return data;
+      return result.preset;
     } catch (err) {
-      console.error(LOG_PREFIX, 'Inline scene parse failed:', err);
+      console.error(LOG_PREFIX, `Preset "${id}" unavailable:`, err);
       // Last resort: minimal hardcoded scene
-      return createMinimalScene();
+      sceneData = createMinimalScene();
+      return null;
+    }
+  }
+
+  // Parse + validate scene JSON text. Repairable problems are reported and
+  // fixed; anything else throws so callers fall back to the next source.
+  function acceptScene(text, source) {
+    const result = window.DroneSchema.parseScene(text);
+    reportSceneIssues(source, result.issues);
+
+    if (!result.ok) {
+      const error = new Error(`${source} failed validation`);
+      error.sceneIssues = result.issues;
+      throw error;
     }
+    return result.data;
+  }
+
+  function reportSceneIssues(source, issues) {
+    if (!issues.length) return;
+
+    const formatted = issues.map(issue => window.DroneSchema.formatIssue(issue));
+    issues.forEach((issue, i) => {
+      const log = issue.severity === 'error' ? console.error : console.warn;
+      log(LOG_PREFIX, `${source}: ${formatted[i]}`);
+    });
+
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    const summary = errorCount > 0
+      ? `✗ ${source}: ${errorCount} error(s), not loaded`
+      : `⚠ ${source}: repaired ${issues.length} issue(s)`;
+    showStatus(summary, 8000, formatted);
+    if (errorCount > 0) emitClipEvent('error', { source, message: summary, details: formatted });
   }
 
   function createMinimalScene() {
@@ -177,15 +291,8 @@
     console.log(LOG_PREFIX, 'Finishing init...');
 
     try {
-      // Build city and bridge (uses sceneData.meta.seed if available)
-      const seed = sceneData ? (sceneData.meta.seed || 42) : 42;
-      console.log(LOG_PREFIX, 'Setting up city with seed:', seed);
-      setupCity(seed);
-      console.log(LOG_PREFIX, '✓ City setup complete');
-
-      console.log(LOG_PREFIX, 'Setting up bridge...');
-      setupBridge();
-      console.log(LOG_PREFIX, '✓ Bridge setup complete');
+      // Build city and bridge (uses sceneData.meta.seed and sceneData.city if available)
+      rebuildWorld();
 
       console.log(LOG_PREFIX, 'Setting up post-processing...');
       setupPostProcessing();
@@ -202,6 +309,8 @@
       refreshPresetUI(sceneData);
       updateTimeline();
       syncPlayStateUI();
+      setupClipAPI();
+      applyUrlParams();
 
       // Show UI controls after a brief moment
       setTimeout(() => {
@@ -285,9 +394,7 @@
   }
 
   function setupRenderer(canvas) {
-    const wrapper = document.getElementById('canvas-wrapper');
-    const width = wrapper.clientWidth;
-    const height = wrapper.clientHeight;
+    const frame = layoutStage();
 
     renderer = new THREE.WebGLRenderer({
       canvas: canvas,
@@ -296,7 +403,7 @@
       preserveDrawingBuffer: true
     });
 
-    renderer.setSize(width, height);
+    renderer.setSize(frame.width, frame.height);
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
     renderer.toneMapping = THREE.ACESFilmicToneMapping;
     renderer.toneMappingExposure = 1.0; // Lower for B&W
@@ -312,10 +419,7 @@
   }
 
   function setupCamera() {
-    const wrapper = document.getElementById('canvas-wrapper');
-    const aspect = wrapper.clientWidth / wrapper.clientHeight;
-
-    camera = new THREE.PerspectiveCamera(60, aspect, 0.1, 300);
+    camera = new THREE.PerspectiveCamera(60, frameRatio(), 0.1, 300);
     camera.position.set(0, 20, 50);
     camera.lookAt(0, 0, 0);
     console.log(LOG_PREFIX, 'Camera setup');
@@ -337,97 +441,122 @@
   }
 
   // ============================================================================
-  // PROCEDURAL CITY GENERATION (B&W)
+  // WORLD (SEED/LAYOUT-DEPENDENT GEOMETRY)
   // ============================================================================
 
-  function setupCity(seed) {
-    cityGroup = new THREE.Group();
-    scene.add(cityGroup);
-
-    const buildingGeo = new THREE.BoxGeometry(1, 1, 1);
-    const windowGeo = new THREE.PlaneGeometry(0.3, 0.4);
-
-    let rng = seededRandom(seed);
+  // Regenerate city and bridge for the current scene. Skipped when seed,
+  // city settings and paths are unchanged, so reloading a preset is free.
+  function rebuildWorld() {
+    const seed = sceneData ? (sceneData.meta.seed || 42) : 42;
+    const city = sceneData ? sceneData.city : null;
+    const key = JSON.stringify({
+      seed,
+      city: city || null,
+      paths: sceneData ? sceneData.shots.map(shot => [shot.time, shot.path, shot.camera && shot.camera.ease, shot.camera && shot.camera.speedMul]) : []
+    });
+    if (key === worldKey) return;
 
-    const gridSize = 20;
-    const blockSize = 8;
-    let buildingCount = 0;
+    disposeGroup(cityGroup);
+    disposeGroup(bridgeGroup);
+    cityGroup = null;
+    bridgeGroup = null;
 
-    for (let x = -gridSize; x < gridSize; x += blockSize) {
-      for (let z = -gridSize; z < gridSize; z += blockSize) {
-        // Skip camera path
-        if (x > -10 && x < 15 && z > 0 && z < 60) continue;
+    const corridor = window.DroneCity.sampleCorridor(sceneData);
+    console.log(LOG_PREFIX, 'Setting up city with seed:', seed);
+    setupCity(seed, city, corridor);
+    console.log(LOG_PREFIX, '✓ City setup complete');
 
-        const numBuildings = Math.floor(rng() * 3) + 1;
+    console.log(LOG_PREFIX, 'Setting up bridge...');
+    setupBridge();
+    console.log(LOG_PREFIX, '✓ Bridge setup complete');
 
-        for (let i = 0; i < numBuildings; i++) {
-          const bx = x + (rng() - 0.5) * blockSize * 0.8;
-          const bz = z + (rng() - 0.5) * blockSize * 0.8;
-          const width = 2 + rng() * 3;
-          const depth = 2 + rng() * 3;
-          const height = 5 + rng() * 25;
+    worldKey = key;
+    reportPathCollisions(corridor);
+  }
 
-          // Building body (dark gray/black)
-          const buildingMat = new THREE.MeshLambertMaterial({
-            color: new THREE.Color(0.01, 0.01, 0.01), // Nearly black
-            flatShading: true
-          });
+  // Remove a group and free its GPU buffers, materials and textures
+  function disposeGroup(group) {
+    if (!group) return;
+
+    scene.remove(group);
+    group.traverse(obj => {
+      if (obj.geometry) obj.geometry.dispose();
+      const materials = Array.isArray(obj.material) ? obj.material : (obj.material ? [obj.material] : []);
+      materials.forEach(material => {
+        if (material.map) material.map.dispose();
+        material.dispose();
+      });
+      if (obj.isInstancedMesh) obj.dispose();
+    });
+  }
 
-          const building = new THREE.Mesh(buildingGeo, buildingMat);
-          building.scale.set(width, height, depth);
-          building.position.set(bx, height / 2, bz);
-          cityGroup.add(building);
-          buildingCount++;
-
-          // Windows (ivory/white only)
-          const windowCount = Math.floor(height / 2) * 4;
-          // Desaturate - use grayscale values only
-          const brightness = 0.85 + rng() * 0.15; // 0.85-1.0 range
-          const windowColor = new THREE.Color(brightness, brightness, brightness);
-
-          const windowMat = new THREE.MeshBasicMaterial({
-            color: windowColor,
-            side: THREE.DoubleSide
-          });
+  // ============================================================================
+  // PROCEDURAL CITY GENERATION (B&W)
+  // ============================================================================
 
-          for (let w = 0; w < windowCount; w++) {
-            if (rng() > 0.35) {
-              const window = new THREE.Mesh(windowGeo, windowMat.clone());
-              const side = Math.floor(rng() * 4);
-              const wy = 2 + (rng() * (height - 4));
+  function setupCity(seed, city, corridor) {
+    cityGroup = new THREE.Group();
+    scene.add(cityGroup);
 
-              if (side === 0) window.position.set(bx + width/2, wy, bz);
-              else if (side === 1) window.position.set(bx - width/2, wy, bz);
-              else if (side === 2) window.position.set(bx, wy, bz + depth/2);
-              else window.position.set(bx, wy, bz - depth/2);
+    const layout = window.DroneCity.generateLayout(seed, city, corridor);
+    cityLayout = layout;
+    const dummy = new THREE.Object3D();
 
-              if (side < 2) window.rotation.y = Math.PI / 2;
+    // One draw call per kind: building bodies, lit windows, rooftop accents
+    const buildingMat = new THREE.MeshLambertMaterial({
+      color: new THREE.Color(0.01, 0.01, 0.01), // Nearly black
+      flatShading: true
+    });
+    const buildings = new THREE.InstancedMesh(new THREE.BoxGeometry(1, 1, 1), buildingMat, Math.max(1, layout.buildings.length));
+    buildings.count = layout.buildings.length;
+    layout.buildings.forEach((b, i) => {
+      dummy.position.set(b.x, b.height / 2, b.z);
+      dummy.rotation.set(0, 0, 0);
+      dummy.scale.set(b.width, b.height, b.depth);
+      dummy.updateMatrix();
+      buildings.setMatrixAt(i, dummy.matrix);
+    });
+    cityGroup.add(buildings);
 
-              cityGroup.add(window);
-            }
-          }
+    // Windows (ivory/white only); per-instance grayscale brightness
+    const windowMat = new THREE.MeshBasicMaterial({
+      color: 0xffffff,
+      side: THREE.DoubleSide
+    });
+    windowMaterial = windowMat;
+    const windows = new THREE.InstancedMesh(new THREE.PlaneGeometry(0.3, 0.4), windowMat, Math.max(1, layout.windows.length));
+    windows.count = layout.windows.length;
+    const windowColor = new THREE.Color();
+    layout.windows.forEach((w, i) => {
+      dummy.position.set(w.x, w.y, w.z);
+      dummy.rotation.set(0, w.rotationY, 0);
+      dummy.scale.set(1, 1, 1);
+      dummy.updateMatrix();
+      windows.setMatrixAt(i, dummy.matrix);
+      windows.setColorAt(i, windowColor.setRGB(w.brightness, w.brightness, w.brightness));
+    });
+    cityGroup.add(windows);
 
-          // Rooftop accents (subtle white/gray)
-          if (rng() > 0.85) {
-            const accentColor = new THREE.Color(0.9, 0.9, 0.9);
-            const accentMat = new THREE.MeshBasicMaterial({
-              color: accentColor,
-              transparent: true,
-              opacity: 0.7
-            });
-            const accent = new THREE.Mesh(
-              new THREE.BoxGeometry(width * 0.8, 0.2, depth * 0.8),
-              accentMat
-            );
-            accent.position.set(bx, height + 0.1, bz);
-            cityGroup.add(accent);
-          }
-        }
-      }
-    }
+    // Rooftop accents (subtle white/gray)
+    const accentMat = new THREE.MeshBasicMaterial({
+      color: new THREE.Color(0.9, 0.9, 0.9),
+      transparent: true,
+      opacity: 0.7
+    });
+    const accents = new THREE.InstancedMesh(new THREE.BoxGeometry(1, 1, 1), accentMat, Math.max(1, layout.accents.length));
+    accents.count = layout.accents.length;
+    layout.accents.forEach((a, i) => {
+      dummy.position.set(a.x, a.y, a.z);
+      dummy.rotation.set(0, 0, 0);
+      dummy.scale.set(a.width, 0.2, a.depth);
+      dummy.updateMatrix();
+      accents.setMatrixAt(i, dummy.matrix);
+    });
+    cityGroup.add(accents);
 
-    // Ground plane (dark)
-    const groundGeo = new THREE.PlaneGeometry(200, 200);
+    // Ground plane (dark), grown to cover wide skylines
+    const groundSize = Math.max(200, layout.config.extent * 4);
+    const groundGeo = new THREE.PlaneGeometry(groundSize, groundSize);
     const groundMat = new THREE.MeshLambertMaterial({
       color: 0x050505,
       side: THREE.DoubleSide
@@ -437,7 +566,21 @@
     ground.position.y = 0;
     cityGroup.add(ground);
 
-    console.log(LOG_PREFIX, `City generated: ${buildingCount} buildings (B&W)`);
+    console.log(LOG_PREFIX, `City generated: ${layout.buildings.length} buildings, ${layout.windows.length} windows (instanced, B&W), ${layout.cleared} cleared for the flight corridor`);
+  }
+
+  // Lists every shot/time where a camera path passes through a building or the bridge
+  function reportPathCollisions(corridor) {
+    try {
+      const collisions = window.DroneCity.findCollisions(corridor, cityLayout, bridgeColliders);
+      if (!collisions.length) return;
+
+      const formatted = collisions.map(window.DroneCity.formatCollision);
+      formatted.forEach(line => console.warn(LOG_PREFIX, 'Path collision:', line));
+      showStatus(`⚠ Camera path hits ${collisions.length} obstacle(s)`, 8000, formatted);
+    } catch (err) {
+      console.warn(LOG_PREFIX, 'Path collision check failed:', err);
+    }
   }
 
   // ============================================================================
@@ -455,10 +598,11 @@
     );
 
     const archPoints = archCurve.getPoints(20);
+    const archRadius = 0.5;
     const archGeo = new THREE.TubeGeometry(
       new THREE.CatmullRomCurve3(archPoints),
       20,
-      0.5,
+      archRadius,
       8,
       false
     );
@@ -491,6 +635,17 @@
     underlight.position.set(7, 7.8, 6);
     bridgeGroup.add(underlight);
 
+    // Collision boxes: the deck, plus one box per arch sample so the space
+    // under the arch stays flyable
+    bridgeColliders = [{ label: 'bridge deck', min: [2, 7.75, 0], max: [12, 8.2, 12] }];
+    archPoints.forEach(p => {
+      bridgeColliders.push({
+        label: 'bridge arch',
+        min: [p.x - archRadius, p.y - archRadius, p.z - archRadius],
+        max: [p.x + archRadius, p.y + archRadius, p.z + archRadius]
+      });
+    });
+
     console.log(LOG_PREFIX, 'Bridge created (B&W)');
   }
 
@@ -499,9 +654,9 @@
   // ============================================================================
 
   function setupPostProcessing() {
-    const wrapper = document.getElementById('canvas-wrapper');
-    const width = wrapper.clientWidth;
-    const height = wrapper.clientHeight;
+    const stage = document.getElementById('stage');
+    const width = stage.clientWidth;
+    const height = stage.clientHeight;
 
     // Defensive polyfill: ensure CopyShader exists (required by many passes)
     if (!THREE.CopyShader) {
@@ -519,6 +674,10 @@
     composer.addPass(renderPass);
     console.log(LOG_PREFIX, 'Basic render pass created');
 
+    // Before bloom/grain so a blended frame is graded once, like any other
+    transitionPass = createTransitionPass();
+    if (transitionPass) composer.addPass(transitionPass);
+
     try {
       // Validate hard dependencies for UnrealBloomPass
       if (!THREE.CopyShader) {
@@ -610,6 +769,143 @@
       renderPass.renderToScreen = true;
       showStatus('Post-FX disabled (safe mode)', 3000);
     }
+
+    // Last, so titles stay crisp: no bloom, grain, blur or fade on the text
+    titlePass = createTitlePass();
+    if (titlePass) composer.addPass(titlePass);
+  }
+
+  // Crossfade / whip blur / flash / dip, driven by state.transition.
+  // Disabled outside transitions, so it costs nothing on normal frames.
+  function createTransitionPass() {
+    try {
+      const material = new THREE.ShaderMaterial({
+        uniforms: {
+          tDiffuse: { value: null },
+          tOther: { value: null },
+          uMix: { value: 0 },
+          uFlash: { value: 0 },
+          uDip: { value: 0 },
+          uBlur: { value: 0 }
+        },
+        vertexShader: `
+          varying vec2 vUv;
+          void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+          }
+        `,
+        fragmentShader: `
+          uniform sampler2D tDiffuse;
+          uniform sampler2D tOther;
+          uniform float uMix;
+          uniform float uFlash;
+          uniform float uDip;
+          uniform float uBlur;
+          varying vec2 vUv;
+
+          const int BLUR_TAPS = 12;
+
+          void main() {
+            vec4 color = texture2D(tDiffuse, vUv);
+
+            // Whip pan: horizontal motion blur
+            if (uBlur > 0.0) {
+              vec4 sum = vec4(0.0);
+              for (int i = 0; i < BLUR_TAPS; i++) {
+                float offset = float(i) / float(BLUR_TAPS - 1) - 0.5;
+                sum += texture2D(tDiffuse, vUv + vec2(offset * uBlur, 0.0));
+              }
+              color = sum / float(BLUR_TAPS);
+            }
+
+            // Crossfade with the other shot
+            if (uMix > 0.0) {
+              color = mix(color, texture2D(tOther, vUv), uMix);
+            }
+
+            color.rgb = mix(color.rgb, vec3(1.0), uFlash);
+            color.rgb *= 1.0 - uDip;
+
+            gl_FragColor = color;
+          }
+        `
+      });
+
+      const pass = new THREE.ShaderPass(material);
+      pass.enabled = false;
+      transitionCamera = camera.clone();
+      console.log(LOG_PREFIX, '✓ Transition pass created');
+      return pass;
+    } catch (error) {
+      console.warn(LOG_PREFIX, 'Shot transitions disabled (hard cuts only):', error.message);
+      return null;
+    }
+  }
+
+  // Overlays the title canvas. Disabled while no title is on screen.
+  function createTitlePass() {
+    try {
+      titleCanvas = document.createElement('canvas');
+      titleCtx = titleCanvas.getContext('2d');
+      titleTexture = new THREE.CanvasTexture(titleCanvas);
+      titleTexture.minFilter = THREE.LinearFilter; // Any size, no mipmaps
+      titleTexture.generateMipmaps = false;
+
+      const material = new THREE.ShaderMaterial({
+        uniforms: {
+          tDiffuse: { value: null },
+          tTitles: { value: titleTexture }
+        },
+        vertexShader: `
+          varying vec2 vUv;
+          void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+          }
+        `,
+        fragmentShader: `
+          uniform sampler2D tDiffuse;
+          uniform sampler2D tTitles;
+          varying vec2 vUv;
+
+          void main() {
+            vec4 color = texture2D(tDiffuse, vUv);
+            vec4 title = texture2D(tTitles, vUv);
+            gl_FragColor = vec4(mix(color.rgb, title.rgb, title.a), color.a);
+          }
+        `
+      });
+
+      const pass = new THREE.ShaderPass(material);
+      pass.enabled = false;
+      console.log(LOG_PREFIX, '✓ Title pass created');
+      return pass;
+    } catch (error) {
+      console.warn(LOG_PREFIX, 'Titles disabled:', error.message);
+      return null;
+    }
+  }
+
+  // Redraws the title canvas at the drawing-buffer size (the export size
+  // while exporting), so text scales with the frame
+  function updateTitles() {
+    if (!titlePass) return;
+
+    const titles = sceneData.titles;
+    titlePass.enabled = window.DroneTitles.anyActive(titles, currentTime);
+    if (!titlePass.enabled) return;
+
+    const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+    if (titleCanvas.width !== size.x || titleCanvas.height !== size.y) {
+      titleCanvas.width = size.x;
+      titleCanvas.height = size.y;
+      titleTexture.dispose(); // Re-allocated at the new size on upload
+    }
+
+    titleCtx.clearRect(0, 0, titleCanvas.width, titleCanvas.height);
+    window.DroneTitles.draw(titleCtx, titleCanvas.width, titleCanvas.height, titles, currentTime);
+    titleTexture.needsUpdate = true;
   }
 
   // ============================================================================
@@ -623,138 +919,159 @@
       return;
     }
 
-    // Find current shot
-    let shot = null;
-    for (const s of sceneData.shots) {
-      if (currentTime >= s.time[0] && currentTime < s.time[1]) {
-        shot = s;
-        break;
-      }
-    }
-
-    if (!shot) {
-      shot = sceneData.shots[sceneData.shots.length - 1];
-    }
-
-    // Build curve if changed
-    if (currentShot !== shot) {
-      currentShot = shot;
-      try {
-        const points = shot.path.points.map(p => new THREE.Vector3(p[0], p[1], p[2]));
-        cameraCurve = new THREE.CatmullRomCurve3(points);
-      } catch (err) {
-        console.error(LOG_PREFIX, 'Failed to build camera curve:', err);
-        return;
-      }
+    let state;
+    try {
+      const audio = sampleAudio();
+      state = window.DroneTimeline.evaluateScene(sceneData, currentTime, {
+        audioEnergy: audio ? audio.energy : null,
+        bands: audio ? audio.bands : null
+      });
+    } catch (err) {
+      console.error(LOG_PREFIX, 'Timeline evaluation error:', err);
+      return;
     }
 
-    if (!cameraCurve) return;
-
-    // Interpolate along shot
-    const shotDuration = shot.time[1] - shot.time[0];
-    const shotProgress = (currentTime - shot.time[0]) / shotDuration;
-    const t = Math.max(0, Math.min(1, shotProgress));
+    if (!state) return;
+    currentShot = state.shot;
+    if (clipHost) clipHost.trackFrame(state, sceneData.beats, isPlaying && !isScrubbing);
 
     try {
-      // Get position on curve
-      const pos = cameraCurve.getPoint(t);
-      camera.position.copy(pos);
-
-      // Micro-oscillation
-      const oscillation = shot.camera.oscillation || 0;
-      if (oscillation > 0) {
-        cameraOscillationPhase += 0.08;
-        camera.position.x += Math.sin(cameraOscillationPhase * 2.3) * oscillation * 0.3;
-        camera.position.y += Math.sin(cameraOscillationPhase * 3.1) * oscillation * 0.2;
-        camera.position.z += Math.sin(cameraOscillationPhase * 1.7) * oscillation * 0.15;
-      }
-
-      // Look ahead
-      const lookAheadT = Math.min(1, t + 0.05);
-      const lookAt = cameraCurve.getPoint(lookAheadT);
-      camera.lookAt(lookAt);
-
-      // FOV
-      const fov = THREE.MathUtils.lerp(shot.camera.fov[0], shot.camera.fov[1], t);
-      camera.fov = fov;
-      camera.updateProjectionMatrix();
-
-      // Roll + beat jitter
-      const baseRoll = THREE.MathUtils.lerp(
-        shot.camera.rollDeg[0] * Math.PI / 180,
-        shot.camera.rollDeg[1] * Math.PI / 180,
-        t
-      );
+      poseCamera(camera, state);
 
-      let beatJitter = 0;
-      if (sceneData.beats && Array.isArray(sceneData.beats)) {
-        const nearestBeat = sceneData.beats.reduce((prev, curr) =>
-          Math.abs(curr - currentTime) < Math.abs(prev - currentTime) ? curr : prev
-        );
-        const beatDist = Math.abs(nearestBeat - currentTime);
-        if (beatDist < 0.08) {
-          beatJitter = (0.08 - beatDist) * 0.6;
-        }
+      // Whip pan swing (positive yaw pans right)
+      if (state.transition && state.transition.yaw) {
+        camera.rotateY(-state.transition.yaw);
       }
 
-      camera.rotation.z = baseRoll + beatJitter;
-
-      // Update FX
-      updateFX(shot, t);
+      updateFX(state);
+      updateTransition(state);
+      updateTitles();
+      applyEditorView();
 
       // Fade
-      if (shot.fx.fade) {
-        const [fadeStart, fadeEnd] = shot.fx.fade;
-        if (currentTime >= fadeStart) {
-          const fadeT = (currentTime - fadeStart) / (fadeEnd - fadeStart);
-          const opacity = 1 - Math.min(1, fadeT);
-          renderer.toneMappingExposure = 1.0 * opacity;
-        }
-      } else {
-        renderer.toneMappingExposure = 1.0;
-      }
+      renderer.toneMappingExposure = state.fx.fade * state.fx.exposure;
 
     } catch (err) {
       console.error(LOG_PREFIX, 'Camera update error:', err);
     }
   }
 
-  function updateFX(shot, t) {
-    // Audio reactivity (optional)
-    let audioEnergy = 0;
-    if (hasAudio && analyser && audioData) {
-      try {
-        analyser.getByteFrequencyData(audioData);
-        const bassData = audioData.slice(0, Math.floor(audioData.length * 0.1));
-        const sum = bassData.reduce((a, b) => a + b, 0);
-        audioEnergy = sum / (bassData.length * 255);
-      } catch (err) {
-        console.warn(LOG_PREFIX, 'Audio analysis failed:', err);
-      }
-    } else {
-      // Fake beat energy
-      if (sceneData && sceneData.beats && Array.isArray(sceneData.beats)) {
-        const nearestBeat = sceneData.beats.reduce((prev, curr) =>
-          Math.abs(curr - currentTime) < Math.abs(prev - currentTime) ? curr : prev
-        );
-        const beatDist = Math.abs(nearestBeat - currentTime);
-        audioEnergy = beatDist < 0.1 ? Math.pow(1 - beatDist / 0.1, 2) : 0.1;
-      }
+  // Path pose first, then shake on top (aimed from the unshaken position, so
+  // shake never re-targets the look-at)
+  function poseCamera(target, state) {
+    target.position.set(state.position[0], state.position[1], state.position[2]);
+    target.lookAt(state.lookAt[0], state.lookAt[1], state.lookAt[2]);
+
+    target.fov = window.DroneFormats.compensateFov(state.fov, target.aspect);
+    target.updateProjectionMatrix();
+
+    target.rotation.z = state.roll;
+
+    const shake = state.shake;
+    if (shake) {
+      target.position.x += shake.offset[0];
+      target.position.y += shake.offset[1];
+      target.position.z += shake.offset[2];
+      target.rotateY(-shake.yaw);
+      target.rotateX(shake.pitch);
+      target.rotateZ(shake.roll);
+    }
+  }
+
+  // Legacy "bass energy" (bottom 10% of the spectrum) driving neonPulse and
+  // grain; its smoothing matches the old analyser setting (0.7 at 60fps)
+  const ENERGY_BAND = { name: '_energy', attack: 0.05, release: 0.05 };
+
+  function sampleAudio() {
+    // Audio reactivity (optional); null lets the timeline fall back to beats.
+    // Exports always use the beats: the paused analyser holds whatever it
+    // heard last, so its spectrum would differ from one export to the next
+    if (isExporting || !hasAudio || !analyser || !audioData || !bandTracker) return null;
+
+    try {
+      analyser.getByteFrequencyData(audioData);
+
+      // Smoothing steps follow the timeline, not the wall clock: a seek or a
+      // pause never turns into one long step
+      const dt = lastBandTime === null ? 0 : currentTime - lastBandTime;
+      lastBandTime = currentTime;
+
+      const sampleRate = audioContext.sampleRate;
+      const reactive = window.DroneAudioReactive.resolveConfig(sceneData.reactive);
+      const bands = reactive.bands.concat(Object.assign({ hz: [0, sampleRate * 0.05] }, ENERGY_BAND));
+      const levels = bandTracker.update(bands, audioData, sampleRate / analyser.fftSize, dt);
+      return { energy: levels[ENERGY_BAND.name], bands: levels };
+    } catch (err) {
+      console.warn(LOG_PREFIX, 'Audio analysis failed:', err);
+      return null;
     }
+  }
+
+  function resetBandTracker() {
+    if (bandTracker) bandTracker.reset();
+    lastBandTime = null;
+  }
 
+  function updateFX(state) {
     // Bloom (subtle for B&W)
-    if (shot.fx && shot.fx.bloom && bloomPass) {
-      const bloomBase = THREE.MathUtils.lerp(shot.fx.bloom[0], shot.fx.bloom[1], t);
-      const bloomPulse = (shot.fx.neonPulse || 0) * audioEnergy;
-      bloomPass.strength = bloomBase + bloomPulse;
+    if (bloomPass) {
+      bloomPass.strength = state.fx.bloom;
     }
 
     // Vignette + grain
-    if (shot.fx && shot.fx.vignette && vignettePass && vignettePass.uniforms) {
-      const vignetteVal = THREE.MathUtils.lerp(shot.fx.vignette[0], shot.fx.vignette[1], t);
-      vignettePass.uniforms.uVignette.value = vignetteVal;
+    if (vignettePass && vignettePass.uniforms) {
+      vignettePass.uniforms.uVignette.value = state.fx.vignette;
       vignettePass.uniforms.uTime.value = currentTime;
-      vignettePass.uniforms.uGrain.value = 0.12 + audioEnergy * 0.05;
+      vignettePass.uniforms.uGrain.value = state.fx.grain;
+    }
+
+    // Window brightness (tints the per-instance grays)
+    if (windowMaterial) {
+      windowMaterial.color.setScalar(state.fx.windows);
+    }
+  }
+
+  const WHIP_BLUR_WIDTH = 0.15; // Fraction of the frame width at full blur
+
+  function updateTransition(state) {
+    if (!transitionPass) return;
+
+    const t = state.transition;
+    transitionPass.enabled = !!t;
+    if (!t) return;
+
+    const uniforms = transitionPass.uniforms;
+    uniforms.uFlash.value = t.flash;
+    uniforms.uDip.value = t.dip;
+    uniforms.uBlur.value = t.blur * WHIP_BLUR_WIDTH;
+    uniforms.uMix.value = 0;
+
+    if (t.type !== 'crossfade' || !t.from || !t.to) return;
+
+    // The composer renders the shot on screen; draw the other one here
+    const incoming = state.shot === t.to.shot;
+    const other = incoming ? t.from : t.to;
+
+    try {
+      const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+      if (!transitionTarget) {
+        transitionTarget = new THREE.WebGLRenderTarget(size.x, size.y);
+      } else if (transitionTarget.width !== size.x || transitionTarget.height !== size.y) {
+        transitionTarget.setSize(size.x, size.y);
+      }
+
+      transitionCamera.copy(camera, false);
+      poseCamera(transitionCamera, other);
+
+      const previousTarget = renderer.getRenderTarget();
+      renderer.setRenderTarget(transitionTarget);
+      renderer.render(scene, transitionCamera);
+      renderer.setRenderTarget(previousTarget);
+
+      uniforms.tOther.value = transitionTarget.texture;
+      uniforms.uMix.value = incoming ? 1 - t.mix : t.mix;
+    } catch (err) {
+      console.warn(LOG_PREFIX, 'Crossfade render failed:', err);
     }
   }
 
@@ -762,6 +1079,7 @@
   // AUDIO (OPTIONAL, NEVER BLOCKS)
   // ============================================================================
 
+  // Returns whether this track was set up (failures are reported here)
   function setupAudio(audioFile) {
     console.log(LOG_PREFIX, 'Setting up audio...');
     try {
@@ -773,107 +1091,375 @@
         audioElement.pause();
         audioElement.remove();
       }
+      if (audioSource) audioSource.disconnect();
+      if (audioGain) audioGain.disconnect();
+      if (analyser) analyser.disconnect();
 
       audioElement = document.createElement('audio');
-      audioElement.src = URL.createObjectURL(audioFile);
+      if (audioUrl) URL.revokeObjectURL(audioUrl);
+      audioUrl = URL.createObjectURL(audioFile);
+      audioElement.src = audioUrl;
       audioElement.loop = false;
+      // Duration known: trimOut defaults to it, fit mode rescales to it
+      audioElement.addEventListener('loadedmetadata', () => {
+        fitSceneToTrack();
+        syncAudio(true);
+        renderAudioLane();
+      });
 
+      // Fine bins for the sub/bass bands; smoothing is done per band instead
       analyser = audioContext.createAnalyser();
-      analyser.fftSize = 512;
-      analyser.smoothingTimeConstant = 0.7;
+      analyser.fftSize = 2048;
+      analyser.smoothingTimeConstant = 0;
       audioData = new Uint8Array(analyser.frequencyBinCount);
+      bandTracker = window.DroneAudioReactive.createTracker();
+      lastBandTime = null;
 
+      audioGain = audioContext.createGain();
       audioSource = audioContext.createMediaElementSource(audioElement);
-      audioSource.connect(analyser);
+      audioSource.connect(audioGain);
+      audioGain.connect(analyser);
       analyser.connect(audioContext.destination);
 
+      // Same signal, tapped for recordings
+      if (!recordingDestination && audioContext.createMediaStreamDestination) {
+        recordingDestination = audioContext.createMediaStreamDestination();
+      }
+      if (recordingDestination) {
+        analyser.connect(recordingDestination);
+      }
+
       hasAudio = true;
       showStatus('Audio loaded', 2000);
       console.log(LOG_PREFIX, '✓ Audio ready');
 
       if (audioFilenameEl) {
-        audioFilenameEl.textContent = audioFile.name;
+        audioFilenameEl.textContent = audioFile.name || 'Audio';
       }
 
-      if (isPlaying) {
-        audioElement.currentTime = currentTime;
-        audioElement.play().catch(err => {
-          console.warn(LOG_PREFIX, 'Audio play failed:', err);
-        });
-      }
+      // Runs in the background; playback never waits for it
+      analyzeTrack(audioFile);
+
+      syncAudio(true);
+      return true;
     } catch (err) {
       console.error(LOG_PREFIX, 'Audio setup failed:', err);
       showStatus('Audio failed: ' + err.message, 3000);
+      emitClipEvent('error', { source: 'audio', message: err.message });
+      return false;
     }
   }
 
-  // ============================================================================
-  // RECORDING (25fps LOCKED)
-  // ============================================================================
+  const AUDIO_FADE_SMOOTHING = 0.015; // Gain time constant (avoids zipper noise)
 
-  function startRecording() {
-    if (isRecording) return;
-    console.log(LOG_PREFIX, 'Starting recording (25fps)...');
+  // meta.audio resolved against the loaded track and the scene length
+  function audioTiming() {
+    const duration = (sceneData && sceneData.meta && sceneData.meta.duration) || 18;
+    const trackDuration = audioElement ? audioElement.duration : NaN;
+    return window.DroneAudioTiming.resolve(sceneData && sceneData.meta && sceneData.meta.audio, trackDuration, duration);
+  }
+
+  // Starts, stops and fades the track around the scene clock: silent (paused)
+  // outside the offset/trim window, faded inside it. A playing track is
+  // the clock itself, so it is only positioned when it (re)starts or on an
+  // explicit `seek` (rewind, scrub, loop wrap), never to chase drift.
+  function syncAudio(seek) {
+    if (!audioElement || !hasAudio) return;
 
     try {
-      const canvas = document.getElementById('canvas');
-      const stream = canvas.captureStream(25);
+      const timing = audioTiming();
+      const trackTime = window.DroneAudioTiming.fileTime(timing, currentTime);
 
-      recordedChunks = [];
+      if (audioGain) {
+        const gain = window.DroneAudioTiming.gainAt(timing, trackTime);
+        audioGain.gain.setTargetAtTime(gain, audioContext.currentTime, AUDIO_FADE_SMOOTHING);
+      }
 
-      const options = {
-        mimeType: 'video/webm;codecs=vp9',
-        videoBitsPerSecond: 10000000
-      };
+      if (seek) audioPlayBlocked = false;
+      const shouldPlay = isPlaying && !isScrubbing && !isExporting && trackTime !== null;
+      const starting = shouldPlay && audioElement.paused && !audioPlayBlocked;
 
-      if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-        options.mimeType = 'video/webm;codecs=vp8';
+      if (trackTime !== null && (seek || starting)) {
+        audioElement.currentTime = trackTime;
+        playClock.reset();
       }
 
-      mediaRecorder = new MediaRecorder(stream, options);
+      if (starting) {
+        audioElement.playbackRate = playbackSpeed;
+        audioElement.play().catch(err => {
+          audioPlayBlocked = true;
+          console.warn(LOG_PREFIX, 'Audio play error:', err);
+        });
+      } else if (!shouldPlay && !audioElement.paused) {
+        audioElement.pause();
+      }
+    } catch (err) {
+      console.warn(LOG_PREFIX, 'Audio sync error:', err);
+    }
+  }
 
-      mediaRecorder.ondataavailable = (e) => {
-        if (e.data.size > 0) {
-          recordedChunks.push(e.data);
-        }
-      };
+  // Live track position for the playback clock, or null to run on frame
+  // deltas (no track, paused, silent stretch, seeking)
+  function audioClockSource() {
+    if (!audioElement || !hasAudio || audioElement.paused || audioElement.ended || audioElement.seeking) return null;
+    if (!audioContext || audioContext.state !== 'running') return null;
 
-      mediaRecorder.onstop = () => {
-        const blob = new Blob(recordedChunks, { type: 'video/webm' });
-        const url = URL.createObjectURL(blob);
+    const timing = audioTiming();
+    return {
+      mediaTime: audioElement.currentTime,
+      clockTime: audioContext.currentTime,
+      rate: audioElement.playbackRate,
+      toScene: t => window.DroneAudioTiming.sceneTime(timing, t)
+    };
+  }
 
-        const a = document.createElement('a');
-        a.href = url;
+  // Keyboard, URL and API speed changes; the track follows via playbackRate
+  function setPlaybackSpeed(speed) {
+    playbackSpeed = Math.min(Math.max(speed, SPEED_RANGE[0]), SPEED_RANGE[1]);
+    if (audioElement) audioElement.playbackRate = playbackSpeed;
+    return playbackSpeed;
+  }
 
-        // Format: drone-night-clip-YYYY-MM-DD-HHmmss.webm
-        const now = new Date();
-        const timestamp = now.toISOString().replace(/:/g, '').replace(/\..+/, '').replace('T', '-');
-        a.download = `drone-night-clip-${timestamp}.webm`;
-        a.click();
+  // meta.audio.fit: stretch or squeeze the scene so it ends with the track
+  function fitSceneToTrack() {
+    if (!sceneData || !audioElement || !hasAudio) return;
+
+    const timing = audioTiming();
+    const end = window.DroneAudioTiming.trackEnd(timing);
+    if (!timing.fit || !(end > 0)) return;
+
+    const factor = window.DroneAudioTiming.fitScene(sceneData, end);
+    if (factor === 1) return;
+
+    currentTime = Math.min(currentTime * factor, end);
+    loopRange = null;
+    rebuildWorld();
+    renderTimelineMarkers();
+    if (editor) editor.refresh();
+    updateTimeline();
+    showStatus(`Scene fitted to track: ${end.toFixed(2)}s (×${factor.toFixed(3)})`, 3000);
+    console.log(LOG_PREFIX, `Scene rescaled ×${factor.toFixed(3)} to ${end.toFixed(2)}s`);
+  }
 
-        URL.revokeObjectURL(url);
-        showStatus('✓ Recording saved', 3000);
-        console.log(LOG_PREFIX, `✓ Recording saved: drone-night-clip-${timestamp}.webm`);
-      };
+  // ============================================================================
+  // TRACK ANALYSIS (OFFLINE, FROM THE LOADED TRACK)
+  // ============================================================================
 
-      mediaRecorder.start(100);
-      isRecording = true;
+  const BEAT_ANALYSIS_SAMPLE_RATE = 22050;
+  const BEAT_LOWPASS_HZ = 150; // Kick drum band
 
-      // Restart from beginning
-      currentTime = 0;
-      isPlaying = true;
-      syncPlayStateUI();
-      if (audioElement) {
-        audioElement.currentTime = 0;
-        audioElement.play().catch(e => console.warn(LOG_PREFIX, 'Audio play error:', e));
+  // Decodes the file once, then fills the audio lane and detects beats
+  async function analyzeTrack(audioFile) {
+    // A newer track invalidates any analysis still in flight
+    const token = ++beatAnalysisToken;
+    detectedBeats = null;
+    trackAnalysis = null;
+    syncBeatUI();
+    renderAudioLane();
+
+    if (!window.OfflineAudioContext) {
+      console.warn(LOG_PREFIX, 'Track analysis unavailable (no OfflineAudioContext)');
+      return;
+    }
+    console.log(LOG_PREFIX, 'Analyzing track...');
+
+    let decoded;
+    try {
+      decoded = await decodeOffline(await audioFile.arrayBuffer());
+    } catch (err) {
+      if (token !== beatAnalysisToken) return;
+      console.warn(LOG_PREFIX, 'Track decoding failed:', err);
+      showStatus('Track analysis failed: ' + err.message, 3000);
+      return;
+    }
+    if (token !== beatAnalysisToken) return;
+
+    const channels = [];
+    for (let c = 0; c < decoded.numberOfChannels; c++) channels.push(decoded.getChannelData(c));
+    const samples = window.DroneWaveform.mixDown(channels);
+    trackAnalysis = {
+      duration: decoded.duration,
+      samples,
+      sampleRate: decoded.sampleRate,
+      peaks: window.DroneWaveform.waveformPeaks(samples, decoded.sampleRate),
+      spectrogram: null // Computed the first time the spectrum view is shown
+    };
+    renderAudioLane();
+
+    await detectTrackBeats(decoded, token);
+  }
+
+  async function detectTrackBeats(decoded, token) {
+    if (!window.DroneBeatDetect) return;
+    console.log(LOG_PREFIX, 'Analyzing beats...');
+
+    try {
+      const samples = await renderKickBand(decoded);
+      const result = window.DroneBeatDetect.detectBeats(samples, BEAT_ANALYSIS_SAMPLE_RATE, {
+        frameSize: 512,
+        hopSize: 256
+      });
+
+      if (token !== beatAnalysisToken) return;
+
+      if (!result || result.beats.length < 2) {
+        showStatus('No clear beat found in track', 3000);
+        return;
+      }
+
+      detectedBeats = result;
+      syncBeatUI();
+      showStatus(`♩ Detected ${result.bpm} BPM · press B to apply`, 5000);
+      console.log(LOG_PREFIX, `✓ Beat detection: ${result.bpm} BPM, ${result.beats.length} beats, first at ${result.offset}s`);
+    } catch (err) {
+      if (token !== beatAnalysisToken) return;
+      console.warn(LOG_PREFIX, 'Beat detection failed:', err);
+      showStatus('Beat detection failed: ' + err.message, 3000);
+    }
+  }
+
+  function decodeOffline(arrayBuffer) {
+    // Decoding resamples to the context rate; callback form for older Safari
+    const ctx = new OfflineAudioContext(1, 1, BEAT_ANALYSIS_SAMPLE_RATE);
+    return new Promise((resolve, reject) => {
+      ctx.decodeAudioData(arrayBuffer, resolve, reject);
+    });
+  }
+
+  async function renderKickBand(decoded) {
+    const length = Math.max(1, Math.ceil(decoded.duration * BEAT_ANALYSIS_SAMPLE_RATE));
+    const ctx = new OfflineAudioContext(1, length, BEAT_ANALYSIS_SAMPLE_RATE);
+
+    const source = ctx.createBufferSource();
+    source.buffer = decoded;
+
+    const lowpass = ctx.createBiquadFilter();
+    lowpass.type = 'lowpass';
+    lowpass.frequency.value = BEAT_LOWPASS_HZ;
+
+    source.connect(lowpass);
+    lowpass.connect(ctx.destination);
+    source.start(0);
+
+    const rendered = await ctx.startRendering();
+    return rendered.getChannelData(0);
+  }
+
+  // Detected beats are track times; meta.audio.offset shifts them onto the scene
+  function beatGridForScene(data) {
+    const duration = (data && data.meta && data.meta.duration) || 18;
+    const timing = audioTiming();
+    return detectedBeats.beats
+      .map(b => Math.round(window.DroneAudioTiming.sceneTime(timing, b) * 100) / 100)
+      .filter(t => t >= 0 && t < duration);
+  }
+
+  function applyDetectedBeats() {
+    if (!detectedBeats || !sceneData) return;
+
+    sceneData.beats = beatGridForScene(sceneData);
+    sceneData.meta.bpm = detectedBeats.bpm;
+    renderTimelineMarkers();
+    if (editor) editor.refresh();
+
+    showStatus(`✓ Beat grid applied (${detectedBeats.bpm} BPM, ${sceneData.beats.length} beats)`, 2500);
+    console.log(LOG_PREFIX, '✓ Detected beats applied to scene');
+  }
+
+  function exportBeatGrid() {
+    if (!detectedBeats || !sceneData) return;
+
+    // Current scene with the detected grid, ready to save as a preset
+    const exported = Object.assign({}, sceneData, {
+      meta: Object.assign({}, sceneData.meta, { bpm: detectedBeats.bpm }),
+      beats: beatGridForScene(sceneData)
+    });
+
+    const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+    window.DroneDownload.downloadBlob(blob, `drone-night-scene-${Math.round(detectedBeats.bpm)}bpm.json`);
+    showStatus('✓ Scene with beat grid exported', 2000);
+  }
+
+  function syncBeatUI() {
+    const row = document.getElementById('beat-row');
+    const info = document.getElementById('beat-info');
+    if (row) row.style.display = detectedBeats ? 'flex' : 'none';
+    if (info && detectedBeats) {
+      info.textContent = `${detectedBeats.bpm} BPM`;
+    }
+  }
+
+  // ============================================================================
+  // RECORDING (25fps LOCKED)
+  // ============================================================================
+
+  function startRecording() {
+    if (isRecording) return;
+    console.log(LOG_PREFIX, `Starting recording (${RECORDING_FPS}fps)...`);
+
+    try {
+      // Takes use the export row's resolution in the output shape, like
+      // exports, so the file size never depends on the browser window
+      const size = resolveExportSize(readExportOptions().size);
+      recordingPixelRatio = renderer.getPixelRatio();
+      resizeRenderTarget(size.width, size.height, 1);
+
+      const canvas = document.getElementById('canvas');
+      const stream = canvas.captureStream(RECORDING_FPS);
+
+      // Mix in the loaded track when there is one; video-only otherwise
+      const audioTracks = (hasAudio && recordingDestination) ? recordingDestination.stream.getAudioTracks() : [];
+      audioTracks.forEach(track => stream.addTrack(track));
+      isRecordingAudio = audioTracks.length > 0;
+
+      recordedChunks = [];
+
+      const options = {
+        mimeType: pickRecordingMimeType(isRecordingAudio),
+        videoBitsPerSecond: 10000000
+      };
+      if (isRecordingAudio) {
+        options.audioBitsPerSecond = 192000;
       }
 
+      mediaRecorder = new MediaRecorder(stream, options);
+
+      mediaRecorder.ondataavailable = (e) => {
+        if (e.data.size > 0) {
+          recordedChunks.push(e.data);
+        }
+      };
+
+      mediaRecorder.onstop = () => {
+        const blob = new Blob(recordedChunks, { type: 'video/webm' });
+
+        // Format: drone-night-clip-YYYY-MM-DD-HHmmss.webm
+        const timestamp = window.DroneDownload.fileTimestamp();
+        window.DroneDownload.downloadBlob(blob, `drone-night-clip-${timestamp}.webm`);
+        showStatus('✓ Recording saved', 3000);
+        console.log(LOG_PREFIX, `✓ Recording saved: drone-night-clip-${timestamp}.webm`);
+        emitClipEvent('recordingstop', { blob, filename: `drone-night-clip-${timestamp}.webm` });
+      };
+
+      mediaRecorder.start(100);
+      isRecording = true;
+
+      // Restart from beginning
+      currentTime = 0;
+      isPlaying = true;
+      syncPlayStateUI();
+      syncAudio(true);
+
       showStatus('Recording...', 0); // 0 = don't hide
+      syncRecordUI();
+      emitClipEvent('recordingstart', { fps: RECORDING_FPS, audio: isRecordingAudio });
 
-      console.log(LOG_PREFIX, '✓ Recording started');
+      console.log(LOG_PREFIX, `✓ Recording started at ${size.width}x${size.height} (${isRecordingAudio ? 'with audio' : 'video only'})`);
     } catch (err) {
       console.error(LOG_PREFIX, 'Recording failed:', err);
+      restorePreviewSize();
       showStatus('Recording failed: ' + err.message, 5000);
+      emitClipEvent('error', { source: 'recording', message: err.message });
     }
   }
 
@@ -884,10 +1470,745 @@
     try {
       mediaRecorder.stop();
       isRecording = false;
+      isRecordingAudio = false;
       hideStatus();
+      syncRecordUI();
     } catch (err) {
       console.error(LOG_PREFIX, 'Stop recording error:', err);
     }
+    if (!isRecording) restorePreviewSize();
+  }
+
+  function restorePreviewSize() {
+    if (recordingPixelRatio === null) return;
+    renderer.setPixelRatio(recordingPixelRatio);
+    if (composer) composer.setPixelRatio(recordingPixelRatio);
+    recordingPixelRatio = null;
+    onResize();
+  }
+
+  function pickRecordingMimeType(withAudio) {
+    const candidates = withAudio
+      ? ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+      : ['video/webm;codecs=vp9', 'video/webm;codecs=vp8'];
+    return candidates.find(type => MediaRecorder.isTypeSupported(type)) || candidates[candidates.length - 1];
+  }
+
+  // ============================================================================
+  // OFFLINE EXPORT (FRAME-ACCURATE, DETERMINISTIC)
+  // ============================================================================
+
+  const EXPORT_FPS_OPTIONS = [24, 25, 30, 60];
+
+  // PNG frames zipped in memory: refuse exports estimated above the limit
+  // (grainy frames compress poorly; the zip format also stops at 4 GB and
+  // 65,535 files)
+  const PNG_BYTES_PER_PIXEL = 1.5;
+  const ZIP_EXPORT_LIMIT = 2 * 1024 * 1024 * 1024;
+
+  async function startOfflineExport(options) {
+    if (isExporting || isRecording) return;
+    if (!renderer) {
+      showStatus('Export unavailable (renderer not ready)', 3000);
+      return;
+    }
+
+    const exportFps = EXPORT_FPS_OPTIONS.includes(options.fps) ? options.fps : 25;
+    const size = resolveExportSize(options.size);
+    const format = options.format === 'webm' ? 'webm' : 'png';
+    const duration = (sceneData && sceneData.meta && sceneData.meta.duration) || 18;
+    const frameCount = Math.max(1, Math.round(duration * exportFps));
+    const baseName = `drone-night-clip-${window.DroneDownload.fileTimestamp()}-${exportFps}fps`;
+
+    // PNG frames are written straight into a folder where the browser allows
+    // it (nothing accumulates in memory); otherwise they are zipped in memory
+    let folder = null;
+    if (format === 'png' && window.showDirectoryPicker) {
+      try {
+        folder = await window.showDirectoryPicker({ id: 'drone-night-export', mode: 'readwrite' });
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          showStatus('Export cancelled', 2000);
+          return;
+        }
+        console.warn(LOG_PREFIX, 'Folder export unavailable, zipping in memory:', err.message);
+      }
+      if (isExporting || isRecording) return;
+    }
+
+    if (format === 'png' && !folder) {
+      if (frameCount > window.DroneZip.MAX_ENTRIES) {
+        console.warn(LOG_PREFIX, `PNG export refused: ${frameCount} frames exceed the zip limit`);
+        showStatus(`✗ PNG export too long to zip (${frameCount} frames, at most ${window.DroneZip.MAX_ENTRIES}): lower the fps, or export WebM`, 6000);
+        return;
+      }
+
+      const estimate = size.width * size.height * PNG_BYTES_PER_PIXEL * frameCount;
+      if (estimate > ZIP_EXPORT_LIMIT) {
+        const gigabytes = (estimate / (1024 * 1024 * 1024)).toFixed(1);
+        console.warn(LOG_PREFIX, `PNG export refused: ~${gigabytes} GB to zip in memory`);
+        showStatus(`✗ PNG export too large to zip in memory (~${gigabytes} GB): lower the resolution or fps, or export WebM`, 6000);
+        return;
+      }
+    }
+
+    console.log(LOG_PREFIX, `Starting offline export: ${frameCount} frames @ ${exportFps}fps, ${size.width}x${size.height}, ${format}`);
+
+    // Freeze realtime playback while frames are stepped manually
+    const resumeTime = currentTime;
+    isPlaying = false;
+    if (audioElement) audioElement.pause();
+    syncPlayStateUI();
+
+    isExporting = true;
+    exportCancelled = false;
+    syncExportUI();
+
+    const canvas = document.getElementById('canvas');
+    const previousPixelRatio = renderer.getPixelRatio();
+    let sink = null;
+
+    try {
+      resizeRenderTarget(size.width, size.height, 1);
+      if (format === 'webm') sink = createWebMSink(canvas, exportFps);
+      else if (folder) sink = await createPngFolderSink(canvas, folder, baseName);
+      else sink = createPngSequenceSink(canvas, baseName);
+
+      for (let frame = 0; frame < frameCount; frame++) {
+        if (exportCancelled) break;
+
+        renderFrameAt(frame / exportFps);
+        await sink.addFrame(frame);
+
+        if (frame % exportFps === 0 || frame === frameCount - 1) {
+          showStatus(`Exporting frame ${frame + 1}/${frameCount}`, 0);
+        }
+      }
+
+      if (exportCancelled) {
+        sink.abort();
+        showStatus('Export cancelled', 2000);
+        console.log(LOG_PREFIX, 'Export cancelled');
+      } else {
+        const blob = await sink.finish();
+        if (blob) {
+          window.DroneDownload.downloadBlob(blob, `${baseName}.${sink.extension}`);
+          showStatus(`✓ Exported ${frameCount} frames`, 3000);
+          console.log(LOG_PREFIX, `✓ Export saved: ${baseName}.${sink.extension}`);
+        } else {
+          showStatus(`✓ Exported ${frameCount} frames to ${folder.name}/${baseName}`, 3000);
+          console.log(LOG_PREFIX, `✓ Export written to ${folder.name}/${baseName}`);
+        }
+      }
+    } catch (err) {
+      console.error(LOG_PREFIX, 'Export failed:', err);
+      if (sink) sink.abort();
+      showStatus('Export failed: ' + err.message, 5000);
+      emitClipEvent('error', { source: 'export', message: err.message });
+    } finally {
+      currentTime = resumeTime;
+      isExporting = false;
+
+      renderer.setPixelRatio(previousPixelRatio);
+      if (composer) composer.setPixelRatio(previousPixelRatio);
+      onResize();
+
+      syncExportUI();
+      updateTimeline();
+    }
+  }
+
+  // "1080p" / "1440p" / "2160p" in the output shape, an explicit "WxH", or
+  // "preview"
+  function resolveExportSize(value) {
+    if (window.DroneFormats.RESOLUTIONS[value]) {
+      return window.DroneFormats.size(outputAspect, value);
+    }
+
+    const match = /^(\d+)x(\d+)$/.exec(value || '');
+    if (match) {
+      return { width: parseInt(match[1], 10), height: parseInt(match[2], 10) };
+    }
+
+    // "preview": keep the current drawing buffer size
+    const buffer = renderer.getDrawingBufferSize(new THREE.Vector2());
+    return { width: Math.round(buffer.x), height: Math.round(buffer.y) };
+  }
+
+  function resizeRenderTarget(width, height, pixelRatio) {
+    renderer.setPixelRatio(pixelRatio);
+    renderer.setSize(width, height, false); // Keep the preview's CSS size
+    if (composer) {
+      composer.setPixelRatio(pixelRatio);
+      composer.setSize(width, height);
+    }
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+  }
+
+  function renderFrameAt(time) {
+    currentTime = time;
+    updateCameraPath();
+
+    if (composer) {
+      composer.render();
+    } else {
+      renderer.render(scene, camera);
+    }
+
+    updateHUD();
+    updateTimeline();
+  }
+
+  function createPngSequenceSink(canvas, folder) {
+    const archive = window.DroneZip.createArchive();
+
+    return {
+      extension: 'zip',
+      async addFrame(index) {
+        // toBlob resolves once the frame has been fully rendered and encoded
+        const blob = await canvasToBlob(canvas, 'image/png');
+        await archive.addFile(`${folder}/frame_${String(index).padStart(5, '0')}.png`, blob);
+      },
+      async finish() {
+        return archive.toBlob();
+      },
+      abort() {}
+    };
+  }
+
+  // One PNG file per frame in a new sub-folder; finish() has nothing to
+  // download
+  async function createPngFolderSink(canvas, folder, name) {
+    const directory = await folder.getDirectoryHandle(name, { create: true });
+
+    return {
+      extension: null,
+      async addFrame(index) {
+        const blob = await canvasToBlob(canvas, 'image/png');
+        const file = await directory.getFileHandle(`frame_${String(index).padStart(5, '0')}.png`, { create: true });
+        const writable = await file.createWritable();
+        await writable.write(blob);
+        await writable.close();
+      },
+      async finish() {
+        return null;
+      },
+      abort() {}
+    };
+  }
+
+  function createWebMSink(canvas, exportFps) {
+    // captureStream(0) only emits frames on requestFrame(), and the recorder
+    // stays paused while a frame renders. MediaRecorder still stamps frames
+    // from the wall clock, so a slow encode can stretch a frame: the pixels
+    // are exact, the timing is best effort (PNG sequences are the exact output)
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const chunks = [];
+    const frameMs = 1000 / exportFps;
+
+    const recorder = new MediaRecorder(stream, {
+      mimeType: pickRecordingMimeType(),
+      videoBitsPerSecond: 10000000
+    });
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.start();
+    recorder.pause();
+
+    return {
+      extension: 'webm',
+      async addFrame() {
+        renderer.getContext().finish();
+        recorder.resume();
+        track.requestFrame();
+        await wait(frameMs);
+        recorder.pause();
+      },
+      finish() {
+        return new Promise((resolve) => {
+          recorder.onstop = () => {
+            track.stop();
+            resolve(new Blob(chunks, { type: 'video/webm' }));
+          };
+          recorder.resume();
+          recorder.stop();
+        });
+      },
+      abort() {
+        recorder.onstop = null;
+        if (recorder.state !== 'inactive') recorder.stop();
+        track.stop();
+      }
+    };
+  }
+
+  function readExportOptions() {
+    const fpsSelect = document.getElementById('export-fps');
+    const sizeSelect = document.getElementById('export-size');
+    const formatSelect = document.getElementById('export-format');
+
+    return {
+      fps: fpsSelect ? parseInt(fpsSelect.value, 10) : 25,
+      size: sizeSelect ? sizeSelect.value : 'preview',
+      format: formatSelect ? formatSelect.value : 'png'
+    };
+  }
+
+  function syncExportUI() {
+    const btnExport = document.getElementById('btn-export');
+    if (btnExport) {
+      btnExport.textContent = isExporting ? 'Cancel' : 'Export';
+    }
+  }
+
+  // ============================================================================
+  // TRANSPORT (SEEK, SCRUB, FRAME STEP, LOOP)
+  // ============================================================================
+
+  function seekTo(time) {
+    const duration = (sceneData && sceneData.meta && sceneData.meta.duration) || 18;
+    currentTime = Math.min(Math.max(time, 0), duration);
+    resetBandTracker();
+
+    if (!isRecording) syncAudio(true);
+    updateTimeline();
+  }
+
+  function canSeek() {
+    return isInitialized && !isRecording && !isExporting;
+  }
+
+  // The timeline and the audio lane under it both seek
+  function setupTimelineScrub() {
+    ['timeline', 'audio-lane'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) attachScrub(el);
+    });
+  }
+
+  function attachScrub(timelineEl) {
+    let resumeAfterScrub = false;
+
+    const timeAt = (clientX) => {
+      const rect = timelineEl.getBoundingClientRect();
+      const duration = (sceneData && sceneData.meta && sceneData.meta.duration) || 18;
+      return rect.width > 0 ? (clientX - rect.left) / rect.width * duration : 0;
+    };
+
+    timelineEl.addEventListener('pointerdown', (e) => {
+      if (!canSeek()) return;
+
+      // Hold playback while dragging so audio doesn't stutter under the pointer
+      isScrubbing = true;
+      resumeAfterScrub = isPlaying;
+      if (audioElement) audioElement.pause();
+
+      timelineEl.setPointerCapture(e.pointerId);
+      seekTo(timeAt(e.clientX));
+      e.preventDefault();
+    });
+
+    timelineEl.addEventListener('pointermove', (e) => {
+      if (isScrubbing) seekTo(timeAt(e.clientX));
+    });
+
+    const endScrub = () => {
+      if (!isScrubbing) return;
+      isScrubbing = false;
+
+      if (resumeAfterScrub) syncAudio(true);
+    };
+
+    timelineEl.addEventListener('pointerup', endScrub);
+    timelineEl.addEventListener('pointercancel', endScrub);
+  }
+
+  // Shot boundaries (labelled) and beat ticks on #timeline
+  function renderTimelineMarkers() {
+    const shotsEl = document.getElementById('timeline-shots');
+    const beatsEl = document.getElementById('timeline-beats');
+    if (!shotsEl || !beatsEl) return;
+
+    shotsEl.textContent = '';
+    beatsEl.textContent = '';
+    if (!sceneData || !Array.isArray(sceneData.shots)) return;
+
+    const duration = (sceneData.meta && sceneData.meta.duration) || 18;
+    const percent = time => `${(Math.min(Math.max(time / duration, 0), 1) * 100).toFixed(2)}%`;
+
+    for (const shot of sceneData.shots) {
+      const marker = document.createElement('div');
+      marker.className = 'timeline-shot';
+      marker.style.left = percent(shot.time[0]);
+      marker.style.width = percent(shot.time[1] - shot.time[0]);
+      marker.textContent = shot.name;
+      shotsEl.appendChild(marker);
+    }
+
+    for (const beat of sceneData.beats || []) {
+      const tick = document.createElement('span');
+      tick.className = 'timeline-beat';
+      tick.style.left = percent(beat);
+      beatsEl.appendChild(tick);
+    }
+
+    renderAudioLane();
+  }
+
+  // ============================================================================
+  // AUDIO LANE (DECODED TRACK UNDER THE TIMELINE)
+  // ============================================================================
+
+  // Redrawn when the track, scene, beats or lane size change; the playhead
+  // is a separate element moved by updateTimeline()
+  function renderAudioLane() {
+    const lane = document.getElementById('audio-lane');
+    const canvas = document.getElementById('audio-lane-canvas');
+    const viewBtn = document.getElementById('btn-audio-view');
+    if (!lane || !canvas) return;
+
+    lane.hidden = !trackAnalysis;
+    if (viewBtn) {
+      viewBtn.hidden = !trackAnalysis;
+      viewBtn.textContent = audioLaneView === 'wave' ? 'Spectrum' : 'Wave';
+    }
+    if (!trackAnalysis) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.round(lane.clientWidth * dpr));
+    const height = Math.max(1, Math.round(lane.clientHeight * dpr));
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    try {
+      const ctx = canvas.getContext('2d');
+      const duration = (sceneData && sceneData.meta && sceneData.meta.duration) || 18;
+      ctx.clearRect(0, 0, width, height);
+
+      if (audioLaneView === 'spectrum') {
+        drawSpectrogram(ctx, width, height, duration);
+      } else {
+        drawWaveform(ctx, width, height, duration);
+      }
+      drawLaneMarkers(ctx, width, height, duration, dpr);
+    } catch (err) {
+      console.warn(LOG_PREFIX, 'Audio lane draw failed:', err);
+    }
+  }
+
+  // Laid out on scene time through meta.audio: silent stretches (before the
+  // offset, outside the trim, past the track end) stay empty, fades taper
+  function drawWaveform(ctx, width, height, duration) {
+    const peaks = trackAnalysis.peaks;
+    const mid = height / 2;
+    const timing = audioTiming();
+    const step = duration / width;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.55)';
+    for (let x = 0; x < width; x++) {
+      const trackTime = window.DroneAudioTiming.fileTime(timing, x * step);
+      if (trackTime === null) continue;
+
+      const gain = window.DroneAudioTiming.gainAt(timing, trackTime);
+      const [lo, hi] = window.DroneWaveform.peakRange(peaks, trackTime, trackTime + step);
+      ctx.fillRect(x, mid - hi * gain * mid, 1, Math.max(1, (hi - lo) * gain * mid));
+    }
+  }
+
+  function drawSpectrogram(ctx, width, height, duration) {
+    if (!trackAnalysis.spectrogram) {
+      // One-off cost (well under a second for a few minutes of audio)
+      trackAnalysis.spectrogram = window.DroneWaveform.spectrogram(trackAnalysis.samples, trackAnalysis.sampleRate);
+    }
+
+    const spec = trackAnalysis.spectrogram;
+    const timing = audioTiming();
+    const image = ctx.createImageData(width, height);
+
+    for (let x = 0; x < width; x++) {
+      const trackTime = window.DroneAudioTiming.fileTime(timing, x / width * duration);
+      const column = trackTime === null ? -1 : Math.floor(trackTime * spec.rate);
+      if (column < 0 || column >= spec.columns) continue;
+
+      for (let y = 0; y < height; y++) {
+        const bin = Math.min(spec.bins - 1, Math.floor((1 - (y + 0.5) / height) * spec.bins));
+        const value = Math.round(spec.data[column * spec.bins + bin] * 255);
+        const i = (y * width + x) * 4;
+        image.data[i] = image.data[i + 1] = image.data[i + 2] = value;
+        image.data[i + 3] = 255;
+      }
+    }
+
+    ctx.putImageData(image, 0, 0);
+  }
+
+  // Shot cuts full height, beats as ticks top and bottom
+  function drawLaneMarkers(ctx, width, height, duration, dpr) {
+    if (!sceneData || !Array.isArray(sceneData.shots)) return;
+
+    const xAt = time => Math.round(time / duration * width) + 0.5;
+    const tick = Math.round(6 * dpr);
+
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.beginPath();
+    sceneData.shots.forEach(shot => {
+      ctx.moveTo(xAt(shot.time[0]), 0);
+      ctx.lineTo(xAt(shot.time[0]), height);
+    });
+    ctx.stroke();
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.beginPath();
+    (sceneData.beats || []).forEach(beat => {
+      ctx.moveTo(xAt(beat), 0);
+      ctx.lineTo(xAt(beat), tick);
+      ctx.moveTo(xAt(beat), height - tick);
+      ctx.lineTo(xAt(beat), height);
+    });
+    ctx.stroke();
+  }
+
+  function toggleAudioLaneView() {
+    audioLaneView = audioLaneView === 'wave' ? 'spectrum' : 'wave';
+    renderAudioLane();
+  }
+
+  function startPlayback() {
+    if (isPlaying) return;
+    // Stopped at the end (?loop=0): play again from the top
+    if (currentTime >= ((sceneData && sceneData.meta && sceneData.meta.duration) || 18)) seekTo(0);
+    isPlaying = true;
+    syncAudio(true);
+    syncPlayStateUI();
+  }
+
+  function pausePlayback() {
+    if (!isPlaying) return;
+    isPlaying = false;
+    if (audioElement) audioElement.pause();
+    syncPlayStateUI();
+  }
+
+  function stepFrames(count) {
+    if (!canSeek()) return;
+
+    const frameRate = readExportOptions().fps;
+    pausePlayback();
+    seekTo((Math.round(currentTime * frameRate) + count) / frameRate);
+    showStatus(`Frame ${Math.round(currentTime * frameRate)} @ ${frameRate}fps`, 900);
+  }
+
+  function jumpToShot(direction) {
+    if (!canSeek() || !sceneData || !Array.isArray(sceneData.shots)) return;
+
+    const starts = sceneData.shots.map(s => s.time[0]).sort((a, b) => a - b);
+    const epsilon = 1e-3;
+    const target = direction > 0
+      ? starts.find(t => t > currentTime + epsilon)
+      : starts.slice().reverse().find(t => t < currentTime - epsilon);
+
+    if (target !== undefined) seekTo(target);
+  }
+
+  function setLoopPoint(which) {
+    if (!isInitialized) return;
+
+    const duration = (sceneData && sceneData.meta && sceneData.meta.duration) || 18;
+    const range = loopRange ? loopRange.slice() : [0, duration];
+    if (which === 'in') {
+      range[0] = currentTime;
+      if (range[1] <= range[0]) range[1] = duration;
+    } else {
+      range[1] = currentTime;
+      if (range[0] >= range[1]) range[0] = 0;
+    }
+
+    loopRange = range[1] > range[0] ? range : null;
+    updateTimeline();
+    showStatus(loopRange ? `Loop ${loopRange[0].toFixed(2)}s → ${loopRange[1].toFixed(2)}s` : 'Loop cleared', 1400);
+  }
+
+  // Loop the shot under the playhead, or clear an active loop
+  function toggleShotLoop() {
+    if (!isInitialized) return;
+
+    if (loopRange) {
+      loopRange = null;
+      showStatus('Loop cleared', 1400);
+    } else {
+      const found = window.DroneTimeline.findShot(sceneData, currentTime);
+      if (!found) return;
+      loopRange = found.shot.time.slice();
+      showStatus(`Looping "${found.shot.name}"`, 1400);
+    }
+    updateTimeline();
+  }
+
+  // [in, out] that playback wraps around, or null when it stops at the end
+  // (loops are ignored while recording)
+  function playbackLoop() {
+    if (isRecording) return null;
+    if (loopRange) return loopRange.slice();
+    return loopPlayback ? [0, (sceneData && sceneData.meta && sceneData.meta.duration) || 18] : null;
+  }
+
+  // ============================================================================
+  // PUBLIC API (window.DroneClip, see src/api.js)
+  // ============================================================================
+
+  function setupClipAPI() {
+    if (!window.DroneClipHost || clipHost) return;
+
+    clipHost = window.DroneClipHost.register('webgl', {
+      play: startPlayback,
+      pause: pausePlayback,
+      seek(time) {
+        if (!canSeek()) throw new Error('seek() is unavailable while recording or exporting');
+        seekTo(Number(time) || 0);
+      },
+      setSpeed(speed) {
+        return setPlaybackSpeed(Number(speed) || 1);
+      },
+      loadScene(data) {
+        const result = window.DroneSchema.validateScene(JSON.parse(JSON.stringify(data)));
+        reportSceneIssues('DroneClip.loadScene', result.issues);
+        if (!result.ok) {
+          const error = new Error('scene failed validation');
+          error.sceneIssues = result.issues;
+          throw error;
+        }
+        applyScene(result.data);
+        return { issues: result.issues.map(issue => window.DroneSchema.formatIssue(issue)) };
+      },
+      loadAudio(blob) {
+        if (!(blob instanceof Blob)) throw new Error('loadAudio() expects a Blob or File');
+        if (!setupAudio(blob)) throw new Error('audio setup failed');
+      },
+      renderFrame(time, options) {
+        if (!canSeek()) throw new Error('renderFrame() is unavailable while recording or exporting');
+        const type = (options && options.type) || 'image/png';
+
+        pausePlayback();
+        seekTo(Number(time) || 0);
+        renderFrameAt(currentTime);
+
+        const canvas = document.getElementById('canvas');
+        return type === 'bitmap' ? createImageBitmap(canvas) : canvasToBlob(canvas, type);
+      },
+      getState() {
+        return {
+          renderer: 'webgl',
+          title: sceneData && sceneData.meta ? sceneData.meta.title : null,
+          time: currentTime,
+          duration: (sceneData && sceneData.meta && sceneData.meta.duration) || 18,
+          playing: isPlaying,
+          speed: playbackSpeed,
+          recording: isRecording,
+          exporting: isExporting,
+          shot: currentShot ? currentShot.name : null,
+          shotIndex: currentShot && sceneData ? sceneData.shots.indexOf(currentShot) : -1,
+          hasAudio,
+          loop: playbackLoop()
+        };
+      }
+    });
+    console.log(LOG_PREFIX, '✓ window.DroneClip ready');
+  }
+
+  function emitClipEvent(type, detail) {
+    if (clipHost) clipHost.emit(type, detail);
+  }
+
+  // ============================================================================
+  // TIMELINE EDITOR (LIVE EDITS TO sceneData)
+  // ============================================================================
+
+  function setupEditor() {
+    const root = document.getElementById('editor');
+    if (!root || !window.DroneEditor) return;
+
+    try {
+      editor = window.DroneEditor.create({
+        root,
+        gizmo: document.getElementById('editor-gizmo'),
+        getScene: () => sceneData,
+        getTime: () => currentTime,
+        seek: seekTo,
+        project: projectToScreen,
+        unproject: unprojectFromScreen,
+        onChange: kind => {
+          if (kind !== 'path') renderTimelineMarkers();
+          updateTimeline();
+          updateHUD();
+        },
+        // Paths and shot times shape the cleared corridor and the collision report
+        onCommit: () => rebuildWorld(),
+        onIssues: issues => reportSceneIssues('editor', issues),
+        onExport: text => {
+          const blob = new Blob([text], { type: 'application/json' });
+          window.DroneDownload.downloadBlob(blob, `drone-night-scene-edited-${window.DroneDownload.fileTimestamp()}.json`);
+          showStatus('✓ Edited scene exported', 2000);
+        }
+      });
+    } catch (err) {
+      console.warn(LOG_PREFIX, 'Editor unavailable:', err);
+      editor = null;
+      return;
+    }
+
+    const btnEditor = document.getElementById('btn-editor');
+    if (btnEditor) {
+      btnEditor.addEventListener('click', toggleEditor);
+    }
+  }
+
+  function toggleEditor() {
+    if (!editor || !isInitialized) return;
+
+    editor.toggle();
+    if (controlDeckEl) controlDeckEl.classList.toggle('editing', editor.isOpen);
+    const btnEditor = document.getElementById('btn-editor');
+    if (btnEditor) btnEditor.classList.toggle('primary', editor.isOpen);
+    console.log(LOG_PREFIX, 'Editor:', editor.isOpen ? 'open' : 'closed');
+  }
+
+  // Overview camera while the editor frames the selected shot's path
+  function applyEditorView() {
+    const pose = editor ? editor.getOverviewPose() : null;
+    if (!pose) return;
+
+    camera.position.set(pose.position[0], pose.position[1], pose.position[2]);
+    camera.lookAt(pose.lookAt[0], pose.lookAt[1], pose.lookAt[2]);
+    camera.fov = window.DroneFormats.compensateFov(pose.fov, camera.aspect);
+    camera.updateProjectionMatrix();
+    if (transitionPass) transitionPass.enabled = false;
+  }
+
+  function projectToScreen(point) {
+    const stage = document.getElementById('stage');
+    const v = new THREE.Vector3(point[0], point[1], point[2]).project(camera);
+    return {
+      x: (v.x + 1) / 2 * stage.clientWidth,
+      y: (1 - v.y) / 2 * stage.clientHeight,
+      visible: v.z > -1 && v.z < 1
+    };
+  }
+
+  function unprojectFromScreen(x, y, reference) {
+    const stage = document.getElementById('stage');
+    const depth = new THREE.Vector3(reference[0], reference[1], reference[2]).project(camera).z;
+    const v = new THREE.Vector3(
+      x / stage.clientWidth * 2 - 1,
+      1 - y / stage.clientHeight * 2,
+      depth
+    ).unproject(camera);
+    return [v.x, v.y, v.z];
   }
 
   // ============================================================================
@@ -897,42 +2218,55 @@
   function render(timestamp) {
     requestAnimationFrame(render);
 
+    // Offline export drives its own frames
+    if (isExporting) {
+      lastFrameTime = timestamp;
+      return;
+    }
+
     try {
       const delta = timestamp - lastFrameTime;
       lastFrameTime = timestamp;
 
       fps = Math.round(1000 / Math.max(delta, 1));
 
-      if (isPlaying) {
-        if (isRecording) {
-          currentTime += 1 / 25 * playbackSpeed;
+      if (isPlaying && !isScrubbing) {
+        const audioClock = audioClockSource();
+        if (isRecording && !(isRecordingAudio && audioClock)) {
+          // Video-only takes advance exactly one frame per rendered frame
+          currentTime += 1 / RECORDING_FPS * playbackSpeed;
         } else {
-          currentTime += (delta / 1000) * playbackSpeed;
+          // The playing track is the master clock (rAF deltas without one)
+          currentTime = playClock.advance(currentTime, delta / 1000, playbackSpeed, audioClock);
+          // Recorded takes snap to the frame grid
+          if (isRecording) currentTime = Math.floor(currentTime * RECORDING_FPS) / RECORDING_FPS;
+        }
+
+        // In/out loop (never while recording a take)
+        if (loopRange && !isRecording && currentTime >= loopRange[1]) {
+          seekTo(loopRange[0]);
         }
 
         // Check duration safely
         const duration = (sceneData && sceneData.meta) ? sceneData.meta.duration : 18;
         if (currentTime >= duration) {
+          const looping = loopPlayback && !isRecording;
+          emitClipEvent('ended', { time: duration, looping });
           if (isRecording) {
             stopRecording();
             isPlaying = false;
+            if (audioElement) audioElement.pause();
             syncPlayStateUI();
+          } else if (looping) {
+            seekTo(0);
           } else {
-            currentTime = 0;
+            currentTime = duration;
+            pausePlayback();
           }
         }
 
-        // Sync audio if available
-        if (audioElement && hasAudio) {
-          try {
-            const audioDiff = Math.abs(audioElement.currentTime - currentTime);
-            if (audioDiff > 0.1) {
-              audioElement.currentTime = currentTime;
-            }
-          } catch (err) {
-            console.warn(LOG_PREFIX, 'Audio sync error:', err);
-          }
-        }
+        // Start/stop the track at the trim window edges and apply fades
+        syncAudio(false);
       }
 
       updateCameraPath();
@@ -945,6 +2279,7 @@
 
       updateHUD();
       updateTimeline();
+      if (editor) editor.update(currentTime);
 
     } catch (err) {
       console.error(LOG_PREFIX, 'Render error:', err);
@@ -999,14 +2334,19 @@
           });
         }
 
-        // Hide splash
-        document.getElementById('splash').classList.add('hidden');
+        // Recording is opt-in (Record button or ?record=1)
+        hideSplash();
+        startPlayback();
+        console.log(LOG_PREFIX, 'Playback started');
+      });
+    }
 
-        // Start playing and recording
-        isPlaying = true;
-        startRecording(); // Auto-start recording
-        syncPlayStateUI();
-        console.log(LOG_PREFIX, 'Playback and recording started');
+    const btnRecord = document.getElementById('btn-record');
+    if (btnRecord) {
+      btnRecord.addEventListener('click', () => {
+        if (!isInitialized || isExporting) return;
+        if (isRecording) stopRecording();
+        else startRecording();
       });
     }
 
@@ -1014,18 +2354,8 @@
       playPauseBtn.addEventListener('click', () => {
         if (!isInitialized) return;
 
-        isPlaying = !isPlaying;
-        if (isPlaying) {
-          if (audioElement) {
-            audioElement.play().catch(err => {
-              console.warn(LOG_PREFIX, 'Audio play error:', err);
-            });
-          }
-        } else if (audioElement) {
-          audioElement.pause();
-        }
-
-        syncPlayStateUI();
+        if (isPlaying) pausePlayback();
+        else startPlayback();
         console.log(LOG_PREFIX, isPlaying ? 'Playing' : 'Paused');
       });
     }
@@ -1034,15 +2364,61 @@
     if (btnReset) {
       btnReset.addEventListener('click', () => {
         currentTime = 0;
-        if (audioElement) {
-          audioElement.currentTime = 0;
-        }
+        syncAudio(true);
         updateTimeline();
         showStatus('↺ Rewound to start', 1400);
         console.log(LOG_PREFIX, 'Timeline reset');
       });
     }
 
+    setupTimelineScrub();
+    setupEditor();
+
+    // Audio lane: waveform/spectrogram toggle, redraw on any size change
+    const btnAudioView = document.getElementById('btn-audio-view');
+    if (btnAudioView) {
+      btnAudioView.addEventListener('click', toggleAudioLaneView);
+    }
+    const audioLane = document.getElementById('audio-lane');
+    if (audioLane && window.ResizeObserver) {
+      new ResizeObserver(() => renderAudioLane()).observe(audioLane);
+    }
+
+    // Offline export
+    const btnExport = document.getElementById('btn-export');
+    if (btnExport) {
+      btnExport.addEventListener('click', () => {
+        if (isExporting) {
+          exportCancelled = true;
+          return;
+        }
+        startOfflineExport(readExportOptions());
+      });
+    }
+
+    // Output format and safe-frame guides
+    const formatSelect = document.getElementById('output-format');
+    if (formatSelect) {
+      formatSelect.addEventListener('change', (e) => setOutputFormat(e.target.value));
+    }
+    const btnGuides = document.getElementById('btn-guides');
+    if (btnGuides) {
+      btnGuides.addEventListener('click', () => setSafeGuidesVisible(!safeGuidesVisible));
+    }
+    syncFormatUI();
+    setupSafeGuides();
+
+    // Detected beat grid
+    const btnApplyBeats = document.getElementById('btn-apply-beats');
+    if (btnApplyBeats) {
+      btnApplyBeats.addEventListener('click', applyDetectedBeats);
+    }
+
+    const btnExportBeats = document.getElementById('btn-export-beats');
+    if (btnExportBeats) {
+      btnExportBeats.addEventListener('click', exportBeatGrid);
+    }
+
     // Audio file input (splash)
     const audioInputSplash = document.getElementById('input-audio-splash');
     if (audioInputSplash) {
@@ -1057,62 +2433,35 @@
     // Preset selector
     const presetSelect = document.getElementById('preset-select');
     if (presetSelect) {
+      window.DronePresets.populateSelect(presetSelect);
       presetSelect.addEventListener('change', async (e) => {
-        const preset = e.target.value;
-        if (preset === 'insane') {
-          // Load insane preset with timeout
-          console.log(LOG_PREFIX, 'Loading insane preset...');
-          try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 3000);
-
-            const response = await fetch('presets/insane.json', { signal: controller.signal });
-            clearTimeout(timeoutId);
-
-            if (response.ok) {
-              sceneData = await response.json();
-              currentTime = 0;
-              currentShot = null;
-              refreshPresetUI(sceneData);
-              updateTimeline();
-              showStatus('✓ Insane preset loaded', 2000);
-              console.log(LOG_PREFIX, '✓ Insane preset loaded');
-            } else {
-              throw new Error(`HTTP ${response.status}`);
-            }
-          } catch (err) {
-            console.warn(LOG_PREFIX, 'Failed to load insane preset, falling back to default:', err.message);
-            showStatus('⚠ Preset unavailable, using default', 3000);
-            // Fallback to default
-            await loadSceneDataAsync();
-            currentTime = 0;
-            currentShot = null;
-            refreshPresetUI(sceneData);
-            updateTimeline();
-          }
+        const id = e.target.value || window.DronePresets.DEFAULT_ID;
+        console.log(LOG_PREFIX, `Loading preset "${id}"...`);
+
+        const preset = await loadSceneDataAsync(id);
+        applyScene(sceneData);
+        if (preset) {
+          showStatus(`✓ ${preset.label} preset loaded`, 2000);
+          console.log(LOG_PREFIX, `✓ ${preset.label} preset loaded`);
         } else {
-          // Load default
-          await loadSceneDataAsync();
-          currentTime = 0;
-          currentShot = null;
-          refreshPresetUI(sceneData);
-          updateTimeline();
-          showStatus('✓ Default scene loaded', 2000);
-        }
-
-        if (audioElement) {
-          audioElement.currentTime = currentTime;
-          if (isPlaying) {
-            audioElement.play().catch(err => {
-              console.warn(LOG_PREFIX, 'Audio play error:', err);
-            });
-          }
+          showStatus('⚠ Preset unavailable, using emergency scene', 3000);
         }
 
         syncPlayStateUI();
       });
     }
 
+    // Scene file picker (splash) and drag-and-drop onto the canvas
+    const sceneInputSplash = document.getElementById('input-scene-splash');
+    if (sceneInputSplash) {
+      sceneInputSplash.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) loadSceneFile(file);
+        e.target.value = ''; // Re-picking the same file reloads it
+      });
+    }
+    setupSceneDrop();
+
     window.addEventListener('resize', onResize);
 
     console.log(LOG_PREFIX, '✓ UI setup complete');
@@ -1122,49 +2471,40 @@
     console.log(LOG_PREFIX, 'Setting up keyboard...');
 
     window.addEventListener('keydown', (e) => {
+      // Typing in the editor's fields is not a shortcut
+      if (e.target && /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+
       switch(e.key) {
         case ' ':
           e.preventDefault();
           // Toggle play
           if (document.getElementById('splash').classList.contains('hidden')) {
-            isPlaying = !isPlaying;
-            if (isPlaying && audioElement) {
-              audioElement.play().catch(err => {
-                console.warn(LOG_PREFIX, 'Audio play error:', err);
-              });
-            } else if (!isPlaying && audioElement) {
-              audioElement.pause();
-            }
-            syncPlayStateUI();
+            if (isPlaying) pausePlayback();
+            else startPlayback();
             console.log(LOG_PREFIX, isPlaying ? 'Playing' : 'Paused');
           }
           break;
 
         case 'h':
         case 'H':
-          hudVisible = !hudVisible;
-          const hud = document.getElementById('hud');
-          if (hud) {
-            if (hudVisible) hud.classList.add('visible');
-            else hud.classList.remove('visible');
-          }
+          setHudVisible(!hudVisible);
           console.log(LOG_PREFIX, 'HUD:', hudVisible ? 'visible' : 'hidden');
           break;
 
         case ',':
-          playbackSpeed = Math.max(0.5, playbackSpeed - 0.25);
+          setPlaybackSpeed(playbackSpeed - 0.25);
           console.log(LOG_PREFIX, 'Speed:', playbackSpeed);
           break;
 
         case '.':
-          playbackSpeed = Math.min(2.0, playbackSpeed + 0.25);
+          setPlaybackSpeed(playbackSpeed + 0.25);
           console.log(LOG_PREFIX, 'Speed:', playbackSpeed);
           break;
 
         case 'r':
         case 'R':
           currentTime = 0;
-          if (audioElement) audioElement.currentTime = 0;
+          syncAudio(true);
           console.log(LOG_PREFIX, 'Restarted');
           updateTimeline();
           break;
@@ -1176,46 +2516,165 @@
             takeScreenshot();
           }
           break;
+
+        case 'e':
+          toggleEditor();
+          break;
+
+        case 'ArrowLeft':
+        case 'ArrowRight': {
+          // Frame step at the export fps; Shift jumps between shots
+          e.preventDefault();
+          const direction = e.key === 'ArrowRight' ? 1 : -1;
+          if (e.shiftKey) jumpToShot(direction);
+          else stepFrames(direction);
+          break;
+        }
+
+        case 'i':
+        case 'I':
+          setLoopPoint('in');
+          break;
+
+        case 'o':
+        case 'O':
+          setLoopPoint('out');
+          break;
+
+        case 'l':
+        case 'L':
+          toggleShotLoop();
+          break;
+
+        case 'E':
+          // Offline export (Shift+E)
+          if (e.shiftKey && !isExporting) {
+            startOfflineExport(readExportOptions());
+          }
+          break;
+
+        case 'b':
+        case 'B':
+          applyDetectedBeats();
+          break;
+
+        case 'g':
+        case 'G':
+          setSafeGuidesVisible(!safeGuidesVisible);
+          break;
+
+        case 'Escape':
+          if (isExporting) {
+            exportCancelled = true;
+          }
+          break;
       }
     });
 
     console.log(LOG_PREFIX, '✓ Keyboard setup complete');
   }
 
+  // The camera always takes the output shape; the window only decides how
+  // large the letterboxed preview is
   function onResize() {
     try {
-      const wrapper = document.getElementById('canvas-wrapper');
-      const width = wrapper.clientWidth;
-      const height = wrapper.clientHeight;
+      const frame = layoutStage();
+      // Takes and exports render at a fixed size until they finish
+      if (isRecording || isExporting) return;
 
-      camera.aspect = width / height;
+      camera.aspect = frameRatio();
       camera.updateProjectionMatrix();
 
-      renderer.setSize(width, height);
-      if (composer) composer.setSize(width, height);
+      renderer.setSize(frame.width, frame.height);
+      if (composer) composer.setSize(frame.width, frame.height);
     } catch (err) {
       console.error(LOG_PREFIX, 'Resize error:', err);
     }
   }
 
   // ============================================================================
-  // UTILITIES
+  // OUTPUT FORMAT (FRAME SHAPE, LETTERBOX, SAFE GUIDES)
   // ============================================================================
 
-  function seededRandom(seed) {
-    let s = seed;
-    return function() {
-      s = (s * 9301 + 49297) % 233280;
-      return s / 233280;
-    };
+  function frameRatio() {
+    return window.DroneFormats.ratio(outputAspect);
+  }
+
+  // Sizes the wrapper for the output shape, then centers #stage in it as the
+  // largest frame that fits (bars only show when the window is too cramped
+  // for the wrapper to keep its ratio). Returns the frame in CSS pixels.
+  function layoutStage() {
+    const wrapper = document.getElementById('canvas-wrapper');
+    const stage = document.getElementById('stage');
+    wrapper.style.setProperty('--frame-ratio', frameRatio());
+
+    const frame = window.DroneFormats.fit(wrapper.clientWidth, wrapper.clientHeight, frameRatio());
+    if (stage) {
+      stage.style.left = `${frame.x}px`;
+      stage.style.top = `${frame.y}px`;
+      stage.style.width = `${frame.width}px`;
+      stage.style.height = `${frame.height}px`;
+    }
+    return frame;
+  }
+
+  function setOutputFormat(aspect) {
+    const name = window.DroneFormats.normalize(aspect);
+    if (!name || isExporting || isRecording) {
+      syncFormatUI();
+      return;
+    }
+
+    outputAspect = name;
+    syncFormatUI();
+    if (renderer && camera) onResize();
+    console.log(LOG_PREFIX, 'Output format:', name);
   }
 
-  function showStatus(message, duration) {
+  // Resolution options show their pixel size in the current shape
+  function syncFormatUI() {
+    const formatSelect = document.getElementById('output-format');
+    if (formatSelect) formatSelect.value = outputAspect;
+
+    const sizeSelect = document.getElementById('export-size');
+    if (!sizeSelect) return;
+    Array.prototype.forEach.call(sizeSelect.options, option => {
+      if (!window.DroneFormats.RESOLUTIONS[option.value]) return;
+      const size = window.DroneFormats.size(outputAspect, option.value);
+      option.textContent = `${size.width}×${size.height}`;
+    });
+  }
+
+  // Preview-only overlay; never drawn into recordings or exports
+  function setSafeGuidesVisible(visible) {
+    safeGuidesVisible = visible;
+    const guides = document.getElementById('safe-guides');
+    if (guides) guides.hidden = !visible;
+    const btnGuides = document.getElementById('btn-guides');
+    if (btnGuides) btnGuides.classList.toggle('primary', visible);
+  }
+
+  function setupSafeGuides() {
+    document.querySelectorAll('#safe-guides .safe-area').forEach(el => {
+      const fraction = window.DroneFormats.SAFE_AREAS[el.dataset.area];
+      if (fraction) el.style.inset = `${(1 - fraction) / 2 * 100}%`;
+    });
+    setSafeGuidesVisible(safeGuidesVisible);
+  }
+
+  // ============================================================================
+  // UTILITIES
+  // ============================================================================
+
+  const MAX_STATUS_DETAILS = 6;
+
+  function showStatus(message, duration, details) {
     const statusEl = document.getElementById('status');
     const statusText = document.getElementById('status-text');
     if (statusEl && statusText) {
       statusText.textContent = message;
       statusEl.classList.add('visible');
+      renderStatusDetails(statusEl, details || []);
 
       if (duration > 0) {
         setTimeout(() => {
@@ -1225,6 +2684,24 @@
     }
   }
 
+  function renderStatusDetails(statusEl, details) {
+    const list = document.getElementById('status-issues');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const shown = details.slice(0, MAX_STATUS_DETAILS);
+    if (details.length > shown.length) {
+      shown.push(`…and ${details.length - shown.length} more (see console)`);
+    }
+    shown.forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      list.appendChild(item);
+    });
+
+    statusEl.classList.toggle('has-details', details.length > 0);
+  }
+
   function hideStatus() {
     const statusEl = document.getElementById('status');
     if (statusEl) {
@@ -1232,16 +2709,24 @@
     }
   }
 
+  function canvasToBlob(canvas, type) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) resolve(blob);
+        else reject(new Error('Canvas encoding failed'));
+      }, type);
+    });
+  }
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
   function takeScreenshot() {
     try {
       const canvas = document.getElementById('canvas');
       canvas.toBlob((blob) => {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `drone-night-screenshot-${Date.now()}.png`;
-        a.click();
-        URL.revokeObjectURL(url);
+        window.DroneDownload.downloadBlob(blob, `drone-night-screenshot-${Date.now()}.png`);
         showStatus('Screenshot saved', 2000);
         console.log(LOG_PREFIX, '✓ Screenshot saved');
       });
@@ -1256,9 +2741,88 @@
     const duration = (sceneData && sceneData.meta && sceneData.meta.duration) || 18;
     const progress = duration > 0 ? Math.min(Math.max(currentTime / duration, 0), 1) : 0;
     playbackProgressEl.style.width = `${(progress * 100).toFixed(2)}%`;
+
+    const laneHead = document.getElementById('audio-lane-playhead');
+    if (laneHead) laneHead.style.left = `${(progress * 100).toFixed(2)}%`;
+
+    const loopEl = document.getElementById('timeline-loop');
+    if (loopEl) {
+      loopEl.hidden = !loopRange;
+      if (loopRange) {
+        loopEl.style.left = `${(loopRange[0] / duration * 100).toFixed(2)}%`;
+        loopEl.style.width = `${((loopRange[1] - loopRange[0]) / duration * 100).toFixed(2)}%`;
+      }
+    }
+  }
+
+  // Swap in a freshly loaded scene: rewind, rebuild seed/layout-dependent
+  // geometry, refresh the preset UI
+  function applyScene(data) {
+    sceneData = data;
+    currentTime = 0;
+    currentShot = null;
+    fitSceneToTrack();
+    rebuildWorld();
+    refreshPresetUI(sceneData);
+    updateTimeline();
+    syncAudio(true);
+  }
+
+  // Custom scene from the file picker or a drop; an invalid file leaves the
+  // current scene playing
+  async function loadSceneFile(file) {
+    if (!isInitialized || !file) return;
+
+    try {
+      applyScene(await window.DronePresets.loadFile(file, acceptScene));
+      const presetSelect = document.getElementById('preset-select');
+      if (presetSelect) presetSelect.selectedIndex = -1; // No preset matches
+      showStatus(`✓ Loaded ${file.name}`, 2500);
+      console.log(LOG_PREFIX, `✓ Loaded scene file ${file.name}`);
+    } catch (err) {
+      console.warn(LOG_PREFIX, `Scene file ${file.name} rejected:`, err.message);
+      // Validation failures already listed their issues
+      if (!err.sceneIssues) showStatus(`✗ ${file.name}: ${err.message}`, 5000);
+    }
+    syncPlayStateUI();
+  }
+
+  function setupSceneDrop() {
+    const wrapper = document.getElementById('canvas-wrapper');
+    if (!wrapper) return;
+
+    const hasFiles = e => e.dataTransfer && Array.prototype.indexOf.call(e.dataTransfer.types, 'Files') !== -1;
+
+    wrapper.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      wrapper.classList.add('drop-target');
+    });
+
+    wrapper.addEventListener('dragleave', (e) => {
+      if (!wrapper.contains(e.relatedTarget)) wrapper.classList.remove('drop-target');
+    });
+
+    wrapper.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      wrapper.classList.remove('drop-target');
+
+      const file = e.dataTransfer.files[0];
+      if (window.DronePresets.isSceneFile(file)) {
+        loadSceneFile(file);
+      } else {
+        showStatus('Drop a .json scene file', 2500);
+      }
+    });
   }
 
   function refreshPresetUI(data) {
+    if (editor) editor.refresh();
+    loopRange = null;
+    renderTimelineMarkers();
+
     const title = data && data.meta && data.meta.title ? data.meta.title : 'Default';
 
     if (presetLabelEl) {
@@ -1278,6 +2842,49 @@
     }
   }
 
+  function syncRecordUI() {
+    const btnRecord = document.getElementById('btn-record');
+    if (btnRecord) {
+      btnRecord.textContent = isRecording ? 'Stop' : 'Record';
+      btnRecord.classList.toggle('recording', isRecording);
+    }
+  }
+
+  function hideSplash() {
+    const splash = document.getElementById('splash');
+    if (splash) splash.classList.add('hidden');
+  }
+
+  function setHudVisible(visible) {
+    hudVisible = visible;
+    const hud = document.getElementById('hud');
+    if (hud) hud.classList.toggle('visible', hudVisible);
+  }
+
+  // Initial state from the query string, once the scene is up. ?record=1
+  // always captures the whole clip from 0s; ?t= only positions playback.
+  function applyUrlParams() {
+    const params = urlParams;
+
+    if (params.loop !== undefined) loopPlayback = params.loop;
+    if (params.format !== undefined) setOutputFormat(params.format);
+    if (params.guides !== undefined) setSafeGuidesVisible(params.guides);
+    if (params.speed !== undefined) setPlaybackSpeed(params.speed);
+    if (params.hud !== undefined) setHudVisible(params.hud);
+    if (params.t !== undefined) seekTo(params.t);
+
+    if (params.record) {
+      hideSplash();
+      startRecording();
+    } else if (params.autoplay) {
+      hideSplash();
+      startPlayback();
+    }
+
+    const applied = Object.keys(params);
+    if (applied.length) console.log(LOG_PREFIX, 'URL params:', applied.map(key => `${key}=${params[key]}`).join(' '));
+  }
+
   // ============================================================================
   // START (ALWAYS RUNS, NEVER FAILS)
   // ============================================================================
@@ -0,0 +1,177 @@
+/**
+ * Drone Night POV - Audio-Reactive Mapping
+ * Named frequency bands with attack/release smoothing, routed to visual
+ * parameters through the scene's `reactive` section (band → target, gain,
+ * curve). Without a track every band follows the beat-timeline energy, so
+ * the mapping still pulses in time. DOM-free (window.DroneAudioReactive or
+ * require() in Node).
+ */
+
+(function() {
+  'use strict';
+
+  const Easing = (typeof module !== 'undefined' && module.exports)
+    ? require('./easing.js')
+    : window.DroneEasing;
+
+  // Built-in bands (Hz); a scene band with the same name overrides them
+  const BANDS = {
+    sub: [20, 60],
+    bass: [60, 250],
+    mid: [250, 2000],
+    high: [2000, 16000]
+  };
+
+  const DEFAULT_ATTACK = 0.02; // Seconds to close ~63% of a rise
+  const DEFAULT_RELEASE = 0.25; // Seconds to close ~63% of a fall
+  const MAX_STEP = 0.25; // Longer gaps (seeks, stalls) snap to the raw level
+
+  // Units: bloom/vignette/grain are added to the fx value, fov and roll are
+  // degrees, windows and exposure scale brightness by (1 + amount)
+  const TARGETS = ['bloom', 'vignette', 'fov', 'roll', 'windows', 'grain', 'exposure'];
+
+  const EMPTY = { bands: [], map: [] };
+  const configCache = new WeakMap();
+
+  // ============================================================================
+  // CONFIG
+  // ============================================================================
+
+  // Bands referenced by the map but not declared fall back to the built-ins;
+  // unknown bands and targets are dropped (the schema reports them on load)
+  function resolveConfig(reactive) {
+    if (!reactive || typeof reactive !== 'object') return EMPTY;
+    if (configCache.has(reactive)) return configCache.get(reactive);
+
+    const bands = [];
+    const byName = {};
+
+    function addBand(def) {
+      const hz = def.hz || BANDS[def.name];
+      if (!def.name || !hz || byName[def.name]) return;
+      const band = {
+        name: def.name,
+        hz,
+        attack: typeof def.attack === 'number' ? Math.max(0, def.attack) : DEFAULT_ATTACK,
+        release: typeof def.release === 'number' ? Math.max(0, def.release) : DEFAULT_RELEASE
+      };
+      byName[band.name] = band;
+      bands.push(band);
+    }
+
+    (Array.isArray(reactive.bands) ? reactive.bands : []).forEach(def => {
+      if (def && typeof def === 'object') addBand(def);
+    });
+
+    const map = [];
+    (Array.isArray(reactive.map) ? reactive.map : []).forEach(route => {
+      if (!route || TARGETS.indexOf(route.target) === -1) return;
+      if (!byName[route.band]) addBand({ name: route.band });
+      if (!byName[route.band]) return;
+      map.push({
+        band: route.band,
+        target: route.target,
+        gain: typeof route.gain === 'number' ? route.gain : 1,
+        curve: Easing.get(route.curve)
+      });
+    });
+
+    const config = { bands, map };
+    configCache.set(reactive, config);
+    return config;
+  }
+
+  // ============================================================================
+  // BAND TRACKING
+  // ============================================================================
+
+  // Stateful per renderer: feed it one spectrum per frame. `spectrum` holds
+  // byte magnitudes (AnalyserNode.getByteFrequencyData), `binHz` is
+  // sampleRate / fftSize and `dt` the timeline seconds since the previous
+  // update (0 holds the levels; negative or long gaps snap to the raw level).
+  function createTracker() {
+    let levels = {};
+
+    function update(bands, spectrum, binHz, dt) {
+      const next = {};
+      const step = dt >= 0 && dt <= MAX_STEP ? dt : null;
+
+      bands.forEach(band => {
+        const raw = bandLevel(spectrum, binHz, band.hz);
+        const previous = levels[band.name];
+
+        if (step === null || typeof previous !== 'number') {
+          next[band.name] = raw;
+          return;
+        }
+
+        const tau = raw > previous ? band.attack : band.release;
+        const k = tau > 0 ? 1 - Math.exp(-step / tau) : 1;
+        next[band.name] = previous + (raw - previous) * k;
+      });
+
+      levels = next;
+      return levels;
+    }
+
+    function reset() {
+      levels = {};
+    }
+
+    return { update, reset };
+  }
+
+  // Mean magnitude (0-1) of the bins overlapping [low, high) Hz
+  function bandLevel(spectrum, binHz, hz) {
+    if (!spectrum || !spectrum.length || !(binHz > 0)) return 0;
+
+    const first = Math.max(0, Math.floor(hz[0] / binHz));
+    const last = Math.min(spectrum.length - 1, Math.max(first, Math.ceil(hz[1] / binHz) - 1));
+    if (first >= spectrum.length) return 0;
+
+    let sum = 0;
+    for (let i = first; i <= last; i++) sum += spectrum[i];
+    return sum / ((last - first + 1) * 255);
+  }
+
+  // No track: every band follows the beat energy
+  function fallbackLevels(config, energy) {
+    const levels = {};
+    config.bands.forEach(band => { levels[band.name] = energy; });
+    return levels;
+  }
+
+  // ============================================================================
+  // MAPPING
+  // ============================================================================
+
+  // Summed offsets per target (routes to the same target add up)
+  function modulate(config, levels) {
+    const amounts = {};
+    TARGETS.forEach(target => { amounts[target] = 0; });
+
+    config.map.forEach(route => {
+      const level = Math.min(1, Math.max(0, levels[route.band] || 0));
+      amounts[route.target] += route.curve(level) * route.gain;
+    });
+
+    return amounts;
+  }
+
+  const api = {
+    BANDS,
+    TARGETS,
+    resolveConfig,
+    createTracker,
+    bandLevel,
+    fallbackLevels,
+    modulate
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.DroneAudioReactive = api;
+  }
+
+})();
@@ -0,0 +1,114 @@
+/**
+ * Drone Night POV - Audio Timing
+ * Maps scene time to track time through the scene's `meta.audio` settings:
+ * start offset, trim in/out, fade in/out, and the optional fit mode that
+ * rescales the scene to end with the track. DOM-free
+ * (window.DroneAudioTiming or require() in Node).
+ */
+
+(function() {
+  'use strict';
+
+  const DEFAULTS = {
+    offset: 0,      // Track second heard at scene time 0 (negative = music starts later)
+    trimIn: 0,      // Track seconds outside [trimIn, trimOut) stay silent
+    trimOut: null,  // null = end of the track
+    fadeIn: 0,      // Seconds, from the first audible moment
+    fadeOut: 0,     // Seconds, up to the last audible moment
+    fit: false      // Rescale shots and beats so the scene ends with the track
+  };
+
+  // `start`/`end` are the track seconds actually heard during the scene;
+  // fades run inward from them
+  function resolve(audio, trackDuration, sceneDuration) {
+    const timing = Object.assign({}, DEFAULTS, audio || {});
+    const fileEnd = isFinite(trackDuration) ? trackDuration : Infinity;
+
+    timing.trimIn = Math.max(0, timing.trimIn);
+    timing.trimOut = typeof timing.trimOut === 'number' ? Math.min(timing.trimOut, fileEnd) : fileEnd;
+    timing.start = Math.max(timing.trimIn, timing.offset);
+    timing.end = isFinite(sceneDuration)
+      ? Math.min(timing.trimOut, timing.offset + sceneDuration)
+      : timing.trimOut;
+    return timing;
+  }
+
+  // Track position for a scene time, or null while the track is silent
+  function fileTime(timing, sceneTime) {
+    const t = timing.offset + sceneTime;
+    return t >= timing.start && t < timing.end ? t : null;
+  }
+
+  function sceneTime(timing, trackTime) {
+    return trackTime - timing.offset;
+  }
+
+  function gainAt(timing, trackTime) {
+    if (trackTime === null || trackTime < timing.start || trackTime >= timing.end) return 0;
+
+    let gain = 1;
+    if (timing.fadeIn > 0) gain = Math.min(gain, (trackTime - timing.start) / timing.fadeIn);
+    if (timing.fadeOut > 0) gain = Math.min(gain, (timing.end - trackTime) / timing.fadeOut);
+    return Math.min(1, Math.max(0, gain));
+  }
+
+  // Scene time at which the trimmed track runs out (null while unknown)
+  function trackEnd(timing) {
+    return isFinite(timing.trimOut) ? timing.trimOut - timing.offset : null;
+  }
+
+  // ============================================================================
+  // FIT SCENE TO TRACK
+  // ============================================================================
+
+  // Scales every absolute time in place (shot ranges, beats, fades,
+  // transition lengths, title ranges, duration and BPM) so the scene lasts
+  // `duration`. Shot-relative tracks and paths are untouched. Returns the
+  // factor applied.
+  function fitScene(sceneData, duration) {
+    const meta = sceneData.meta || (sceneData.meta = {});
+    const current = meta.duration;
+    if (!(current > 0) || !(duration > 0)) return 1;
+
+    const factor = duration / current;
+    if (Math.abs(factor - 1) < 1e-6) return 1;
+
+    const scale = t => Math.round(t * factor * 1000) / 1000;
+
+    (sceneData.shots || []).forEach(shot => {
+      shot.time = shot.time.map(scale);
+      if (shot.fx && Array.isArray(shot.fx.fade)) shot.fx.fade = shot.fx.fade.map(scale);
+      if (shot.transition && typeof shot.transition.duration === 'number') {
+        shot.transition.duration = scale(shot.transition.duration);
+      }
+    });
+    if (Array.isArray(sceneData.beats)) sceneData.beats = sceneData.beats.map(scale);
+    (sceneData.titles || []).forEach(title => {
+      title.time = title.time.map(scale);
+      [title.in, title.out].forEach(animation => {
+        if (animation && typeof animation.duration === 'number') animation.duration = scale(animation.duration);
+      });
+    });
+
+    meta.duration = duration;
+    if (typeof meta.bpm === 'number') meta.bpm = Math.round(meta.bpm / factor * 10) / 10;
+    return factor;
+  }
+
+  const api = {
+    DEFAULTS,
+    resolve,
+    fileTime,
+    sceneTime,
+    gainAt,
+    trackEnd,
+    fitScene
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.DroneAudioTiming = api;
+  }
+
+})();
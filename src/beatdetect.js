@@ -0,0 +1,223 @@
+/**
+ * Drone Night POV - Offline Beat Detection
+ * Onset envelope + autocorrelation tempo estimate + phase alignment, run on
+ * decoded (ideally low-passed, mono) samples. DOM-free: the app feeds it
+ * the output of an OfflineAudioContext render (window.DroneBeatDetect or
+ * require() in Node).
+ */
+
+(function() {
+  'use strict';
+
+  const DEFAULTS = {
+    frameSize: 1024,
+    hopSize: 512,
+    minBpm: 70,
+    maxBpm: 180,
+    preferredBpm: 120, // Octave-error prior (log-gaussian, one octave wide)
+    snapWindow: 0.07   // Seconds a grid beat may move to sit on a real onset
+  };
+
+  const MIN_ANALYSIS_SECONDS = 2;
+
+  function detectBeats(samples, sampleRate, options) {
+    const opts = Object.assign({}, DEFAULTS, options);
+    const frameRate = sampleRate / opts.hopSize;
+    const envelope = onsetEnvelope(samples, opts.frameSize, opts.hopSize);
+
+    if (envelope.length < frameRate * MIN_ANALYSIS_SECONDS) return null;
+
+    const tempo = estimateTempo(envelope, frameRate, opts);
+    if (!tempo) return null;
+
+    const grid = refineGrid(envelope, tempo.lag);
+    const duration = samples.length / sampleRate;
+    // An onset shows up in the first frame whose window reaches it
+    const latency = (opts.frameSize - opts.hopSize) / sampleRate;
+    const beats = buildBeatGrid(envelope, frameRate, grid, latency, duration, opts.snapWindow,
+      opensOnHit(samples, opts.frameSize));
+
+    return {
+      bpm: Math.round(60 * frameRate / grid.lag * 10) / 10,
+      beats,
+      offset: beats.length ? beats[0] : 0,
+      duration,
+      confidence: tempo.confidence
+    };
+  }
+
+  // Half-wave rectified log-energy flux, minus its local mean
+  function onsetEnvelope(samples, frameSize, hopSize) {
+    const frameCount = Math.max(0, Math.floor((samples.length - frameSize) / hopSize) + 1);
+    const logEnergy = new Float32Array(frameCount);
+
+    for (let f = 0; f < frameCount; f++) {
+      const start = f * hopSize;
+      let sum = 0;
+      for (let i = start; i < start + frameSize; i++) {
+        sum += samples[i] * samples[i];
+      }
+      logEnergy[f] = Math.log(1e-9 + sum / frameSize);
+    }
+
+    const flux = new Float32Array(frameCount);
+    for (let f = 1; f < frameCount; f++) {
+      flux[f] = Math.max(0, logEnergy[f] - logEnergy[f - 1]);
+    }
+
+    const radius = 8;
+    const envelope = new Float32Array(frameCount);
+    let windowSum = 0;
+    for (let f = 0; f < Math.min(radius, frameCount); f++) windowSum += flux[f];
+
+    for (let f = 0; f < frameCount; f++) {
+      if (f + radius < frameCount) windowSum += flux[f + radius];
+      if (f - radius - 1 >= 0) windowSum -= flux[f - radius - 1];
+      const span = Math.min(frameCount - 1, f + radius) - Math.max(0, f - radius) + 1;
+      envelope[f] = Math.max(0, flux[f] - windowSum / span);
+    }
+
+    return envelope;
+  }
+
+  function estimateTempo(envelope, frameRate, opts) {
+    const minLag = Math.max(1, Math.floor(60 * frameRate / opts.maxBpm));
+    const maxLag = Math.min(envelope.length - 1, Math.ceil(60 * frameRate / opts.minBpm));
+    if (maxLag <= minLag + 1) return null;
+
+    const scores = new Float32Array(maxLag + 2);
+    let bestLag = -1;
+    let bestScore = 0;
+    let total = 0;
+
+    for (let lag = minLag; lag <= maxLag + 1; lag++) {
+      let acc = 0;
+      for (let i = 0; i + lag < envelope.length; i++) {
+        acc += envelope[i] * envelope[i + lag];
+      }
+      scores[lag] = acc / (envelope.length - lag);
+    }
+
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      const bpm = 60 * frameRate / lag;
+      const octaves = Math.log2(bpm / opts.preferredBpm);
+      const weighted = scores[lag] * Math.exp(-0.5 * octaves * octaves);
+      total += scores[lag];
+      if (weighted > bestScore) {
+        bestScore = weighted;
+        bestLag = lag;
+      }
+    }
+
+    if (bestLag < 0 || total <= 0) return null;
+
+    // Parabolic refinement for a fractional lag
+    const a = scores[bestLag - 1] || 0;
+    const b = scores[bestLag];
+    const c = scores[bestLag + 1] || 0;
+    const denom = a - 2 * b + c;
+    const shift = denom < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom)) : 0;
+
+    return {
+      lag: bestLag + shift,
+      confidence: b / (total / (maxLag - minLag + 1))
+    };
+  }
+
+  // Joint lag/phase search: a comb over the whole track is far more precise
+  // than the autocorrelation peak, which drifts by whole beats on long tracks
+  function refineGrid(envelope, coarseLag) {
+    const smoothed = new Float32Array(envelope.length);
+    for (let i = 0; i < envelope.length; i++) {
+      smoothed[i] = envelope[i] +
+        0.5 * ((envelope[i - 1] || 0) + (envelope[i + 1] || 0)) +
+        0.25 * ((envelope[i - 2] || 0) + (envelope[i + 2] || 0));
+    }
+
+    let best = { lag: coarseLag, phase: 0, score: -1 };
+
+    for (let lag = coarseLag - 1; lag <= coarseLag + 1; lag += 0.01) {
+      for (let phase = 0; phase < lag; phase += 0.5) {
+        let score = 0;
+        for (let pos = phase; pos < smoothed.length - 1; pos += lag) {
+          const i = Math.floor(pos);
+          const frac = pos - i;
+          score += smoothed[i] * (1 - frac) + smoothed[i + 1] * frac;
+        }
+        if (score > best.score) {
+          best = { lag, phase, score };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  // A track that opens on a hit has no rise for the envelope to catch in its
+  // first frame: true when that frame is louder than the track on average
+  function opensOnHit(samples, frameSize) {
+    if (!samples.length) return false;
+
+    let total = 0;
+    let head = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const power = samples[i] * samples[i];
+      total += power;
+      if (i < frameSize) head += power;
+    }
+    return head / Math.min(frameSize, samples.length) >= total / samples.length;
+  }
+
+  function buildBeatGrid(envelope, frameRate, grid, latency, duration, snapWindow, fromStart) {
+    const period = grid.lag / frameRate;
+    const snapFrames = Math.round(snapWindow * frameRate);
+    const beats = [];
+
+    let mean = 0;
+    for (let i = 0; i < envelope.length; i++) mean += envelope[i];
+    mean /= envelope.length || 1;
+
+    // Nothing before the first onset: extrapolating the grid into an intro
+    // would put beats (impacts, flashes) ahead of the music
+    let firstOnset = 0;
+    while (!fromStart && firstOnset < envelope.length && envelope[firstOnset] <= mean * 2) firstOnset++;
+    const start = firstOnset / frameRate - snapWindow; // Frame time, like t
+
+    let t = grid.phase / frameRate;
+    while (t - period + latency > -1 / frameRate) t -= period;
+    while (t < start) t += period;
+
+    for (; t < duration; t += period) {
+      const center = Math.round(t * frameRate);
+      let peakFrame = -1;
+      let peak = mean * 2;
+
+      for (let f = Math.max(0, center - snapFrames); f <= Math.min(envelope.length - 1, center + snapFrames); f++) {
+        if (envelope[f] > peak) {
+          peak = envelope[f];
+          peakFrame = f;
+        }
+      }
+
+      const beat = Math.max(0, (peakFrame >= 0 ? peakFrame / frameRate : t) + latency);
+      const rounded = Math.round(beat * 100) / 100;
+      if (rounded < duration && (!beats.length || rounded > beats[beats.length - 1])) {
+        beats.push(rounded);
+      }
+    }
+
+    return beats;
+  }
+
+  const api = {
+    detectBeats,
+    onsetEnvelope
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.DroneBeatDetect = api;
+  }
+
+})();
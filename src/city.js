@@ -0,0 +1,236 @@
+/**
+ * Drone Night POV - City Layout
+ * Seeded block-grid skyline generator driven by the scene's `city` section,
+ * with a flight corridor cleared around the sampled camera paths and a
+ * path-vs-obstacle collision report. Produces plain building/window/accent
+ * data; the renderer turns it into instanced meshes. DOM-free
+ * (window.DroneCity or require() in Node).
+ */
+
+(function() {
+  'use strict';
+
+  const Timeline = (typeof module !== 'undefined' && module.exports)
+    ? require('./timeline.js')
+    : window.DroneTimeline;
+
+  const SAMPLES_PER_SECOND = 30;
+  const COLLISION_MARGIN = 0.25; // Camera clearance added around obstacles
+
+  const DEFAULTS = {
+    extent: 20,               // Grid spans [-extent, extent) on X and Z
+    blockSize: 8,
+    streetWidth: 1.6,         // Buildings scatter over blockSize - streetWidth
+    buildingsPerBlock: [1, 3],
+    footprint: [2, 5],        // Building width/depth range
+    height: [5, 30],
+    heightCurve: 1,           // >1 favors low-rise with occasional towers
+    windowDensity: 0.65,      // Share of window slots that are lit
+    accentChance: 0.15,       // Odds of a rooftop accent per building
+    corridorRadius: 3,        // Clearance kept around every shot's path (0 = off)
+    // Blocks whose grid corner falls strictly inside a zone stay empty
+    exclude: []
+  };
+
+  function resolveConfig(city) {
+    const config = Object.assign({}, DEFAULTS, city || {});
+    config.blockSize = Math.max(1, config.blockSize);
+    config.streetWidth = Math.min(Math.max(0, config.streetWidth), config.blockSize);
+    return config;
+  }
+
+  // ============================================================================
+  // LAYOUT
+  // ============================================================================
+
+  // The RNG is consumed in a fixed order (block, building, windows, accent)
+  // whether or not a building survives the corridor, so a seed and config
+  // always give the same city and editing a path only removes buildings.
+  function generateLayout(seed, city, corridor) {
+    const config = resolveConfig(city);
+    const rng = seededRandom(seed);
+    const layout = { buildings: [], windows: [], accents: [], cleared: 0, config };
+    const clearance = corridor && config.corridorRadius > 0 ? config.corridorRadius : 0;
+
+    const lot = config.blockSize - config.streetWidth;
+    const minCount = Math.floor(config.buildingsPerBlock[0]);
+    const countSpan = Math.floor(config.buildingsPerBlock[1]) - minCount + 1;
+    const [minSize, maxSize] = config.footprint;
+    const [minHeight, maxHeight] = config.height;
+    const windowOff = 1 - config.windowDensity;
+    const accentOff = 1 - config.accentChance;
+
+    for (let x = -config.extent; x < config.extent; x += config.blockSize) {
+      for (let z = -config.extent; z < config.extent; z += config.blockSize) {
+        if (isExcluded(config.exclude, x, z)) continue;
+
+        const count = Math.floor(rng() * countSpan) + minCount;
+
+        for (let i = 0; i < count; i++) {
+          const bx = x + (rng() - 0.5) * lot;
+          const bz = z + (rng() - 0.5) * lot;
+          const width = minSize + rng() * (maxSize - minSize);
+          const depth = minSize + rng() * (maxSize - minSize);
+          const height = minHeight + Math.pow(rng(), config.heightCurve) * (maxHeight - minHeight);
+
+          const building = { x: bx, z: bz, width, depth, height };
+          const keep = !clearance || !nearCorridor(buildingBox(building), corridor, clearance);
+          if (keep) layout.buildings.push(building);
+          else layout.cleared++;
+
+          const windowCount = Math.floor(height / 2) * 4;
+          const brightness = 0.85 + rng() * 0.15; // 0.85-1.0 range
+
+          for (let w = 0; w < windowCount; w++) {
+            if (rng() > windowOff) {
+              const side = Math.floor(rng() * 4);
+              const wy = 2 + (rng() * (height - 4));
+              const lit = { x: bx, y: wy, z: bz, rotationY: side < 2 ? Math.PI / 2 : 0, brightness };
+
+              if (side === 0) lit.x = bx + width / 2;
+              else if (side === 1) lit.x = bx - width / 2;
+              else if (side === 2) lit.z = bz + depth / 2;
+              else lit.z = bz - depth / 2;
+
+              if (keep) layout.windows.push(lit);
+            }
+          }
+
+          if (rng() > accentOff && keep) {
+            layout.accents.push({ x: bx, y: height + 0.1, z: bz, width: width * 0.8, depth: depth * 0.8 });
+          }
+        }
+      }
+    }
+
+    return layout;
+  }
+
+  function isExcluded(zones, x, z) {
+    return zones.some(zone => x > zone.x[0] && x < zone.x[1] && z > zone.z[0] && z < zone.z[1]);
+  }
+
+  function buildingBox(building) {
+    return {
+      min: [building.x - building.width / 2, 0, building.z - building.depth / 2],
+      max: [building.x + building.width / 2, building.height, building.z + building.depth / 2]
+    };
+  }
+
+  function nearCorridor(box, corridor, radius) {
+    const limit = radius * radius;
+    return corridor.some(sample => boxDistanceSquared(box, sample.position) < limit);
+  }
+
+  // ============================================================================
+  // PATH SAMPLING & COLLISIONS
+  // ============================================================================
+
+  // Camera positions along every shot's eased path, tagged with shot and time
+  function sampleCorridor(sceneData) {
+    const samples = [];
+    const shots = sceneData && Array.isArray(sceneData.shots) ? sceneData.shots : [];
+
+    shots.forEach((shot, shotIndex) => {
+      const [start, end] = shot.time;
+      const path = Timeline.compilePath(shot);
+      const steps = Math.max(2, Math.ceil((end - start) * SAMPLES_PER_SECOND));
+
+      for (let i = 0; i <= steps; i++) {
+        const progress = i / steps;
+        samples.push({
+          shot: shot.name,
+          shotIndex,
+          time: start + progress * (end - start),
+          position: path.getPoint(Timeline.pathProgress(shot, progress))
+        });
+      }
+    });
+
+    return samples;
+  }
+
+  // Obstacles are { label, min, max } boxes; buildings are added from the
+  // layout. Consecutive hits on one obstacle within a shot merge into a span.
+  function findCollisions(samples, layout, obstacles) {
+    const boxes = (obstacles || []).slice();
+    if (layout) {
+      layout.buildings.forEach((building, i) => {
+        boxes.push(Object.assign({ label: `building #${i + 1}` }, buildingBox(building)));
+      });
+    }
+
+    const limit = COLLISION_MARGIN * COLLISION_MARGIN;
+    const open = new Map();
+    const collisions = [];
+
+    samples.forEach(sample => {
+      const hits = new Set();
+      boxes.forEach(box => {
+        if (boxDistanceSquared(box, sample.position) < limit) hits.add(box.label);
+      });
+
+      open.forEach((collision, label) => {
+        if (!hits.has(label) || collision.shotIndex !== sample.shotIndex) open.delete(label);
+      });
+
+      hits.forEach(label => {
+        const current = open.get(label);
+        if (current) {
+          current.end = sample.time;
+          return;
+        }
+        const collision = { shot: sample.shot, shotIndex: sample.shotIndex, obstacle: label, start: sample.time, end: sample.time };
+        open.set(label, collision);
+        collisions.push(collision);
+      });
+    });
+
+    return collisions.sort((a, b) => a.start - b.start);
+  }
+
+  function formatCollision(collision) {
+    const span = collision.end > collision.start
+      ? `${collision.start.toFixed(2)}s-${collision.end.toFixed(2)}s`
+      : `${collision.start.toFixed(2)}s`;
+    return `"${collision.shot}" ${span}: hits ${collision.obstacle}`;
+  }
+
+  function boxDistanceSquared(box, point) {
+    let sum = 0;
+    for (let axis = 0; axis < 3; axis++) {
+      const v = point[axis];
+      const d = v < box.min[axis] ? box.min[axis] - v : (v > box.max[axis] ? v - box.max[axis] : 0);
+      sum += d * d;
+    }
+    return sum;
+  }
+
+  // ============================================================================
+  // UTILITIES
+  // ============================================================================
+
+  function seededRandom(seed) {
+    let s = seed;
+    return function() {
+      s = (s * 9301 + 49297) % 233280;
+      return s / 233280;
+    };
+  }
+
+  const api = {
+    DEFAULTS,
+    resolveConfig,
+    generateLayout,
+    sampleCorridor,
+    findCollisions,
+    formatCollision
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.DroneCity = api;
+  }
+
+})();
@@ -0,0 +1,60 @@
+/**
+ * Drone Night POV - Playback Clock
+ * Works out where playback is on each frame. While the track plays, time
+ * follows the track: its position is interpolated with a smooth clock
+ * between the element's coarse currentTime updates, so the audio is never
+ * re-seeked to chase the visuals. Without a playing track, time advances
+ * by frame delta × speed. DOM-free (window.DroneClock or require() in Node).
+ */
+
+(function() {
+  'use strict';
+
+  // The element may disagree with the interpolated position by this much
+  // (coarse updates, buffering) before the clock re-anchors on it
+  const REANCHOR_TOLERANCE = 0.2;
+
+  function createClock() {
+    let anchor = null; // { media, clock, rate } at the last re-anchor
+
+    // `audio` is { mediaTime, clockTime, rate, toScene(mediaTime) } while the
+    // track is playing, or null to run on frame deltas. `clockTime` is any
+    // smooth monotonic clock in seconds (AudioContext or performance.now()).
+    function advance(time, delta, speed, audio) {
+      if (!audio) {
+        anchor = null;
+        return time + delta * speed;
+      }
+
+      const predicted = anchor ? anchor.media + (audio.clockTime - anchor.clock) * anchor.rate : NaN;
+
+      if (!(Math.abs(predicted - audio.mediaTime) <= REANCHOR_TOLERANCE)) {
+        anchor = { media: audio.mediaTime, clock: audio.clockTime, rate: audio.rate };
+      } else if (anchor.rate !== audio.rate) {
+        // Speed change: continue from where we are, at the new rate
+        anchor = { media: predicted, clock: audio.clockTime, rate: audio.rate };
+      }
+
+      return audio.toScene(anchor.media + (audio.clockTime - anchor.clock) * anchor.rate);
+    }
+
+    // Call after an explicit seek so the next frame anchors on the track
+    function reset() {
+      anchor = null;
+    }
+
+    return { advance, reset };
+  }
+
+  const api = {
+    REANCHOR_TOLERANCE,
+    createClock
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.DroneClock = api;
+  }
+
+})();
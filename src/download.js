@@ -0,0 +1,28 @@
+/**
+ * Drone Night POV - Downloads
+ * Saves Blobs (recordings, exports, screenshots, scene JSON) through a
+ * temporary link, with the timestamped file names both renderers use
+ * (window.DroneDownload).
+ */
+
+(function() {
+  'use strict';
+
+  // YYYY-MM-DD-HHmmss
+  function fileTimestamp() {
+    return new Date().toISOString().replace(/:/g, '').replace(/\..+/, '').replace('T', '-');
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    // Revoke on the next tick so large downloads can start first
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  window.DroneDownload = { fileTimestamp, downloadBlob };
+
+})();
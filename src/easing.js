@@ -0,0 +1,65 @@
+/**
+ * Drone Night POV - Easing Curves
+ * Named easing functions for keyframe tracks and path progress.
+ * Each maps [0, 1] → [0, 1] (back easings overshoot slightly).
+ * DOM-free (window.DroneEasing or require() in Node).
+ */
+
+(function() {
+  'use strict';
+
+  const BACK = 1.70158;
+
+  const EASINGS = {
+    linear: t => t,
+    step: t => (t < 1 ? 0 : 1),
+
+    easeInSine: t => 1 - Math.cos(t * Math.PI / 2),
+    easeOutSine: t => Math.sin(t * Math.PI / 2),
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+
+    easeInQuad: t => t * t,
+    easeOutQuad: t => 1 - (1 - t) * (1 - t),
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+
+    easeInQuart: t => t * t * t * t,
+    easeOutQuart: t => 1 - Math.pow(1 - t, 4),
+    easeInOutQuart: t => (t < 0.5 ? 8 * t * t * t * t : 1 - Math.pow(-2 * t + 2, 4) / 2),
+
+    easeInExpo: t => (t === 0 ? 0 : Math.pow(2, 10 * t - 10)),
+    easeOutExpo: t => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+    easeInOutExpo: t => {
+      if (t === 0 || t === 1) return t;
+      return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+    },
+
+    easeInBack: t => (BACK + 1) * t * t * t - BACK * t * t,
+    easeOutBack: t => 1 + (BACK + 1) * Math.pow(t - 1, 3) + BACK * Math.pow(t - 1, 2)
+  };
+
+  // Unknown names fall back to linear; the schema reports them on load
+  function get(name) {
+    return EASINGS[name] || EASINGS.linear;
+  }
+
+  function apply(name, t) {
+    return get(name)(t);
+  }
+
+  const api = {
+    NAMES: Object.keys(EASINGS),
+    get,
+    apply
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.DroneEasing = api;
+  }
+
+})();
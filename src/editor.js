@@ -0,0 +1,683 @@
+/**
+ * Drone Night POV - Timeline Editor
+ * Shot blocks and beat ticks under the playback timeline, plus a gizmo over
+ * the canvas for the selected shot's path points. Edits apply live to the
+ * host's scene data; the host supplies time, seeking and 3D projection
+ * (window.DroneEditor).
+ */
+
+(function() {
+  'use strict';
+
+  const SNAP_SECONDS = 0.08;     // Shot edges snap to beats this close (Alt disables)
+  const EDGE_GRAB_PX = 8;        // Grabbing this close to a block edge resizes it
+  const MIN_SHOT_SECONDS = 0.25;
+  const CLICK_SLOP_PX = 3;       // Less movement than this is a click, not a drag
+  const HANDLE_RADIUS = 6;
+  const PATH_SAMPLES = 64;
+  const OVERVIEW_FOV = 50;
+
+  // host: {
+  //   root, gizmo           editor panel and overlay canvas elements
+  //   getScene(), getTime(), seek(time)
+  //   project([x, y, z])     → { x, y, visible } in gizmo CSS pixels
+  //   unproject(x, y, [x, y, z]) → point under (x, y) at the given point's depth
+  //   onChange(kind)         'timing' | 'beats' | 'path' | 'shot'
+  //   onCommit(kind)         same kinds, once an edit is finished (drag released)
+  //   onIssues(issues)       validation problems (DroneSchema issue format)
+  //   onExport(jsonText)
+  // }
+  function create(host) {
+    const root = host.root;
+    const gizmo = host.gizmo;
+    const gizmoCtx = gizmo ? gizmo.getContext('2d') : null;
+    const shotsLane = root.querySelector('#editor-shots');
+    const beatsLane = root.querySelector('#editor-beats');
+    const playhead = root.querySelector('#editor-playhead');
+    const shotNameEl = root.querySelector('#editor-shot-name');
+    const viewSelect = root.querySelector('#editor-view');
+    const jsonEl = root.querySelector('#editor-json');
+
+    let open = false;
+    let selected = -1;
+    let view = 'shot';
+    let laneDrag = null;
+    let pointDrag = null;
+    let hoverHandle = null;
+
+    // ==========================================================================
+    // LANES (SHOT BLOCKS + BEAT TICKS)
+    // ==========================================================================
+
+    function duration() {
+      const scene = host.getScene();
+      return (scene && scene.meta && scene.meta.duration) || 18;
+    }
+
+    function timeAt(clientX, lane) {
+      const rect = lane.getBoundingClientRect();
+      const ratio = rect.width > 0 ? (clientX - rect.left) / rect.width : 0;
+      return clamp(ratio, 0, 1) * duration();
+    }
+
+    function percent(time) {
+      return `${(clamp(time / duration(), 0, 1) * 100).toFixed(3)}%`;
+    }
+
+    function renderLanes() {
+      const scene = host.getScene();
+      shotsLane.textContent = '';
+      beatsLane.textContent = '';
+      if (!scene || !Array.isArray(scene.shots)) return;
+
+      scene.shots.forEach((shot, index) => {
+        const block = document.createElement('div');
+        block.className = 'editor-shot' + (index === selected ? ' selected' : '');
+        block.dataset.index = index;
+        block.style.left = percent(shot.time[0]);
+        block.style.width = percent(shot.time[1] - shot.time[0]);
+        block.title = `${shot.name} · ${shot.time[0]}s → ${shot.time[1]}s`;
+        block.textContent = shot.name;
+
+        for (const t of keyframeTimes(shot)) {
+          const key = document.createElement('span');
+          key.className = 'editor-key';
+          key.style.left = `${(t * 100).toFixed(3)}%`;
+          block.appendChild(key);
+        }
+
+        shotsLane.appendChild(block);
+      });
+
+      (scene.beats || []).forEach((beat, index) => {
+        const tick = document.createElement('span');
+        tick.className = 'editor-beat';
+        tick.dataset.index = index;
+        tick.style.left = percent(beat);
+        tick.title = `${beat}s`;
+        beatsLane.appendChild(tick);
+      });
+    }
+
+    // Keyframe times (shot progress) of every camera/fx keyframe track
+    function keyframeTimes(shot) {
+      const times = [];
+      [shot.camera, shot.fx].forEach(group => {
+        if (!group) return;
+        Object.keys(group).forEach(key => {
+          const track = group[key];
+          if (Array.isArray(track) && Array.isArray(track[0])) {
+            track.forEach(frame => times.push(frame[0]));
+          }
+        });
+      });
+      return times.filter((t, i) => times.indexOf(t) === i);
+    }
+
+    function onShotPointerDown(e) {
+      const block = e.target.closest('.editor-shot');
+      if (!block) return;
+
+      const scene = host.getScene();
+      const index = Number(block.dataset.index);
+      const shot = scene.shots[index];
+      const rect = block.getBoundingClientRect();
+
+      let mode = 'move';
+      if (e.clientX - rect.left < EDGE_GRAB_PX) mode = 'start';
+      else if (rect.right - e.clientX < EDGE_GRAB_PX) mode = 'end';
+
+      laneDrag = {
+        kind: 'shot',
+        mode,
+        index,
+        startX: e.clientX,
+        startTime: timeAt(e.clientX, shotsLane),
+        original: shot.time.slice(),
+        bounds: shotBounds(scene.shots, shot, duration()),
+        // Contiguous neighbour whose shared edge follows this one (roll edit)
+        linked: mode === 'start' ? shotEndingAt(scene.shots, shot.time[0], shot)
+          : mode === 'end' ? shotStartingAt(scene.shots, shot.time[1], shot) : null,
+        moved: false
+      };
+      if (laneDrag.linked) laneDrag.linkedOriginal = laneDrag.linked.time.slice();
+
+      shotsLane.setPointerCapture(e.pointerId);
+      e.preventDefault();
+    }
+
+    function onShotPointerMove(e) {
+      if (!laneDrag || laneDrag.kind !== 'shot') return;
+      if (!laneDrag.moved && Math.abs(e.clientX - laneDrag.startX) < CLICK_SLOP_PX) return;
+      laneDrag.moved = true;
+
+      const scene = host.getScene();
+      const shot = scene.shots[laneDrag.index];
+      const delta = timeAt(e.clientX, shotsLane) - laneDrag.startTime;
+      const [start, end] = laneDrag.original;
+      const bounds = laneDrag.bounds;
+      const snap = e.altKey ? null : scene.beats;
+
+      if (laneDrag.mode === 'move') {
+        const length = end - start;
+        let next = clamp(start + delta, bounds.min, bounds.max - length);
+        const snapped = snapToBeat(snap, next);
+        if (snapped !== next && snapped >= bounds.min && snapped + length <= bounds.max) next = snapped;
+        shot.time = [round2(next), round2(next + length)];
+      } else if (laneDrag.mode === 'start') {
+        const min = laneDrag.linked ? laneDrag.linkedOriginal[0] + MIN_SHOT_SECONDS : bounds.min;
+        const next = clamp(snapToBeat(snap, start + delta), min, end - MIN_SHOT_SECONDS);
+        shot.time = [round2(next), end];
+        if (laneDrag.linked) laneDrag.linked.time = [laneDrag.linkedOriginal[0], round2(next)];
+      } else {
+        const max = laneDrag.linked ? laneDrag.linkedOriginal[1] - MIN_SHOT_SECONDS : bounds.max;
+        const next = clamp(snapToBeat(snap, end + delta), start + MIN_SHOT_SECONDS, max);
+        shot.time = [start, round2(next)];
+        if (laneDrag.linked) laneDrag.linked.time = [round2(next), laneDrag.linkedOriginal[1]];
+      }
+
+      renderLanes();
+      host.onChange('timing');
+    }
+
+    function onShotPointerUp() {
+      if (!laneDrag || laneDrag.kind !== 'shot') return;
+      const drag = laneDrag;
+      laneDrag = null;
+
+      if (drag.moved) {
+        commit('timing');
+      } else {
+        select(drag.index, true);
+      }
+    }
+
+    function onBeatPointerDown(e) {
+      const tick = e.target.closest('.editor-beat');
+      if (!tick) return;
+
+      laneDrag = { kind: 'beat', index: Number(tick.dataset.index), startX: e.clientX, moved: false };
+      beatsLane.setPointerCapture(e.pointerId);
+      e.preventDefault();
+    }
+
+    function onBeatPointerMove(e) {
+      if (!laneDrag || laneDrag.kind !== 'beat') return;
+      if (!laneDrag.moved && Math.abs(e.clientX - laneDrag.startX) < CLICK_SLOP_PX) return;
+      laneDrag.moved = true;
+
+      const scene = host.getScene();
+      scene.beats[laneDrag.index] = round2(timeAt(e.clientX, beatsLane));
+      renderLanes();
+    }
+
+    function onBeatPointerUp() {
+      if (!laneDrag || laneDrag.kind !== 'beat') return;
+      const moved = laneDrag.moved;
+      laneDrag = null;
+      if (moved) updateBeats(beats => beats);
+    }
+
+    // Double-click: on a tick removes it, on empty lane adds one
+    function onBeatDoubleClick(e) {
+      const tick = e.target.closest('.editor-beat');
+      if (tick) {
+        const index = Number(tick.dataset.index);
+        updateBeats(beats => beats.filter((b, i) => i !== index));
+      } else {
+        const time = round2(timeAt(e.clientX, beatsLane));
+        updateBeats(beats => beats.concat([time]));
+      }
+    }
+
+    function updateBeats(change) {
+      const scene = host.getScene();
+      if (!scene) return;
+      scene.beats = change((scene.beats || []).slice())
+        .sort((a, b) => a - b)
+        .filter((b, i, all) => i === 0 || b !== all[i - 1]);
+      renderLanes();
+      host.onChange('beats');
+      host.onCommit('beats');
+    }
+
+    // ==========================================================================
+    // SELECTION & INSPECTOR
+    // ==========================================================================
+
+    function select(index, seek) {
+      const scene = host.getScene();
+      if (!scene || !scene.shots[index]) {
+        selected = -1;
+      } else {
+        selected = index;
+        const shot = scene.shots[index];
+        const time = host.getTime();
+        if (seek && (time < shot.time[0] || time >= shot.time[1])) {
+          host.seek(shot.time[0]);
+        }
+      }
+
+      renderLanes();
+      syncInspector(true);
+      drawGizmo();
+    }
+
+    function selectedShot() {
+      const scene = host.getScene();
+      return scene && Array.isArray(scene.shots) ? scene.shots[selected] || null : null;
+    }
+
+    function syncInspector(force) {
+      const shot = selectedShot();
+      if (shotNameEl) shotNameEl.textContent = shot ? shot.name : '-';
+      if (!jsonEl) return;
+
+      // Never overwrite what the user is typing
+      if (!force && document.activeElement === jsonEl) return;
+      jsonEl.value = shot ? JSON.stringify(shot, null, 2) : '';
+      jsonEl.disabled = !shot;
+    }
+
+    function applyJson() {
+      const scene = host.getScene();
+      const shot = selectedShot();
+      if (!shot || !jsonEl) return;
+
+      let edited;
+      try {
+        edited = JSON.parse(jsonEl.value);
+      } catch (err) {
+        host.onIssues([{ path: `shots[${selected}]`, line: null, severity: 'error', message: 'JSON syntax error: ' + err.message }]);
+        return;
+      }
+
+      const candidate = JSON.parse(JSON.stringify(scene));
+      candidate.shots[selected] = edited;
+      const result = window.DroneSchema.validateScene(candidate);
+      if (result.issues.length) host.onIssues(result.issues);
+      if (!result.ok) return;
+
+      window.DroneTimeline.invalidate(shot);
+      scene.shots[selected] = result.data.shots[selected];
+      renderLanes();
+      syncInspector(true);
+      host.onChange('shot');
+      host.onCommit('shot');
+    }
+
+    // Re-check the whole scene after a drag; the live data stays as edited
+    function commit(kind) {
+      const scene = host.getScene();
+      const result = window.DroneSchema.validateScene(JSON.parse(JSON.stringify(scene)));
+      if (result.issues.length) host.onIssues(result.issues);
+      syncInspector(false);
+      host.onCommit(kind);
+    }
+
+    function exportScene() {
+      const scene = host.getScene();
+      if (scene) host.onExport(JSON.stringify(scene, null, 2));
+    }
+
+    // ==========================================================================
+    // PATH GIZMO
+    // ==========================================================================
+
+    // Every editable point of a shot, as references into the scene data
+    function collectHandles(shot) {
+      const handles = [];
+      const path = shot.path || {};
+
+      if (path.type === 'orbit') {
+        if (isVec3(path.center)) handles.push({ point: path.center, kind: 'center' });
+      } else {
+        (path.points || []).forEach((point, i) => {
+          if (isVec3(point)) handles.push({ point, kind: 'point', label: String(i) });
+        });
+      }
+
+      if (path.type === 'bezier') {
+        (path.handles || []).forEach((pair, i) => {
+          pair.forEach((point, j) => {
+            if (isVec3(point)) handles.push({ point, kind: 'tangent', anchor: path.points[i + j] });
+          });
+        });
+      }
+
+      const look = shot.lookAt;
+      if (look && isVec3(look.target)) handles.push({ point: look.target, kind: 'target' });
+      if (look && look.path && Array.isArray(look.path.points)) {
+        look.path.points.forEach(point => {
+          if (isVec3(point)) handles.push({ point, kind: 'look' });
+        });
+      }
+
+      return handles;
+    }
+
+    function resizeGizmo() {
+      const width = gizmo.clientWidth;
+      const height = gizmo.clientHeight;
+      const ratio = window.devicePixelRatio || 1;
+      if (gizmo.width !== Math.round(width * ratio) || gizmo.height !== Math.round(height * ratio)) {
+        gizmo.width = Math.round(width * ratio);
+        gizmo.height = Math.round(height * ratio);
+      }
+      gizmoCtx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    }
+
+    function drawGizmo() {
+      if (!gizmoCtx) return;
+      resizeGizmo();
+      gizmoCtx.clearRect(0, 0, gizmo.clientWidth, gizmo.clientHeight);
+
+      const shot = open ? selectedShot() : null;
+      if (!shot) return;
+
+      const timeline = window.DroneTimeline;
+      drawCurve(timeline.compilePath(shot), 'rgba(255, 255, 255, 0.8)');
+      if (shot.lookAt && shot.lookAt.path) {
+        drawCurve(timeline.compilePath({ path: shot.lookAt.path }), 'rgba(255, 255, 255, 0.35)');
+      }
+
+      for (const handle of collectHandles(shot)) {
+        const p = host.project(handle.point);
+        if (!p.visible) continue;
+
+        if (handle.anchor) {
+          const a = host.project(handle.anchor);
+          if (a.visible) {
+            gizmoCtx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+            gizmoCtx.beginPath();
+            gizmoCtx.moveTo(a.x, a.y);
+            gizmoCtx.lineTo(p.x, p.y);
+            gizmoCtx.stroke();
+          }
+        }
+
+        const active = handle === hoverHandle || (pointDrag && pointDrag.handle === handle);
+        gizmoCtx.fillStyle = active ? '#ffffff' : 'rgba(0, 0, 0, 0.7)';
+        gizmoCtx.strokeStyle = '#ffffff';
+        gizmoCtx.lineWidth = 1.5;
+        gizmoCtx.beginPath();
+        if (handle.kind === 'target' || handle.kind === 'center') {
+          gizmoCtx.rect(p.x - HANDLE_RADIUS, p.y - HANDLE_RADIUS, HANDLE_RADIUS * 2, HANDLE_RADIUS * 2);
+        } else {
+          const r = handle.kind === 'point' ? HANDLE_RADIUS : HANDLE_RADIUS * 0.7;
+          gizmoCtx.arc(p.x, p.y, r, 0, Math.PI * 2);
+        }
+        gizmoCtx.fill();
+        gizmoCtx.stroke();
+
+        if (handle.label) {
+          gizmoCtx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+          gizmoCtx.font = '10px monospace';
+          gizmoCtx.fillText(handle.label, p.x + HANDLE_RADIUS + 3, p.y - HANDLE_RADIUS);
+        }
+      }
+
+      // Where the shot camera is right now (useful in the overview)
+      const time = host.getTime();
+      if (view === 'overview' && time >= shot.time[0] && time < shot.time[1]) {
+        const state = timeline.evaluateScene(host.getScene(), time);
+        const p = state ? host.project(state.position) : null;
+        if (p && p.visible) {
+          gizmoCtx.fillStyle = '#ffffff';
+          gizmoCtx.beginPath();
+          gizmoCtx.moveTo(p.x, p.y - 7);
+          gizmoCtx.lineTo(p.x + 6, p.y + 5);
+          gizmoCtx.lineTo(p.x - 6, p.y + 5);
+          gizmoCtx.closePath();
+          gizmoCtx.fill();
+        }
+      }
+    }
+
+    function drawCurve(path, color) {
+      gizmoCtx.strokeStyle = color;
+      gizmoCtx.lineWidth = 1.5;
+      gizmoCtx.setLineDash([4, 4]);
+      gizmoCtx.beginPath();
+
+      let penDown = false;
+      for (let i = 0; i <= PATH_SAMPLES; i++) {
+        const p = host.project(path.getPoint(i / PATH_SAMPLES));
+        if (!p.visible) {
+          penDown = false;
+          continue;
+        }
+        if (penDown) gizmoCtx.lineTo(p.x, p.y);
+        else gizmoCtx.moveTo(p.x, p.y);
+        penDown = true;
+      }
+
+      gizmoCtx.stroke();
+      gizmoCtx.setLineDash([]);
+    }
+
+    function handleAt(x, y) {
+      const shot = selectedShot();
+      if (!shot) return null;
+
+      let best = null;
+      let bestDist = (HANDLE_RADIUS * 2) * (HANDLE_RADIUS * 2);
+      for (const handle of collectHandles(shot)) {
+        const p = host.project(handle.point);
+        if (!p.visible) continue;
+        const d = (p.x - x) * (p.x - x) + (p.y - y) * (p.y - y);
+        if (d < bestDist) {
+          best = handle;
+          bestDist = d;
+        }
+      }
+      return best;
+    }
+
+    function gizmoPoint(e) {
+      const rect = gizmo.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    function onGizmoPointerDown(e) {
+      if (!open) return;
+      const pos = gizmoPoint(e);
+      const handle = handleAt(pos.x, pos.y);
+      if (!handle) return;
+
+      pointDrag = { handle, original: handle.point.slice() };
+      gizmo.setPointerCapture(e.pointerId);
+      e.preventDefault();
+    }
+
+    // Drags in the screen plane; Shift keeps x/z and only changes altitude
+    function onGizmoPointerMove(e) {
+      const pos = gizmoPoint(e);
+
+      if (!pointDrag) {
+        const handle = open ? handleAt(pos.x, pos.y) : null;
+        if (handle !== hoverHandle) {
+          hoverHandle = handle;
+          gizmo.style.cursor = handle ? 'grab' : '';
+          drawGizmo();
+        }
+        return;
+      }
+
+      const moved = host.unproject(pos.x, pos.y, pointDrag.handle.point);
+      const point = pointDrag.handle.point;
+      if (e.shiftKey) {
+        point[0] = pointDrag.original[0];
+        point[1] = round2(moved[1]);
+        point[2] = pointDrag.original[2];
+      } else {
+        point[0] = round2(moved[0]);
+        point[1] = round2(moved[1]);
+        point[2] = round2(moved[2]);
+      }
+
+      window.DroneTimeline.invalidate(selectedShot());
+      host.onChange('path');
+      drawGizmo();
+    }
+
+    function onGizmoPointerUp() {
+      if (!pointDrag) return;
+      pointDrag = null;
+      commit('path');
+    }
+
+    // Framing camera for the selected shot (host renders it while active)
+    function getOverviewPose() {
+      if (!open || view !== 'overview') return null;
+      const shot = selectedShot();
+      if (!shot) return null;
+
+      const path = window.DroneTimeline.compilePath(shot);
+      const points = [];
+      for (let i = 0; i <= PATH_SAMPLES; i += 4) points.push(path.getPoint(i / PATH_SAMPLES));
+      collectHandles(shot).forEach(handle => points.push(handle.point));
+
+      const min = [Infinity, Infinity, Infinity];
+      const max = [-Infinity, -Infinity, -Infinity];
+      for (const p of points) {
+        for (let axis = 0; axis < 3; axis++) {
+          min[axis] = Math.min(min[axis], p[axis]);
+          max[axis] = Math.max(max[axis], p[axis]);
+        }
+      }
+
+      const center = [0, 1, 2].map(axis => (min[axis] + max[axis]) / 2);
+      const size = Math.max(10, max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+      return {
+        position: [center[0] + size * 0.9, center[1] + size * 0.8, center[2] + size * 0.9],
+        lookAt: center,
+        fov: OVERVIEW_FOV
+      };
+    }
+
+    // ==========================================================================
+    // PUBLIC
+    // ==========================================================================
+
+    function setOpen(value) {
+      open = !!value;
+      root.hidden = !open;
+      if (gizmo) gizmo.classList.toggle('active', open);
+
+      if (open) {
+        const scene = host.getScene();
+        if (selected < 0 && scene && scene.shots) {
+          const found = window.DroneTimeline.findShot(scene, host.getTime());
+          selected = found ? found.index : -1;
+        }
+        refresh();
+      } else {
+        hoverHandle = null;
+        drawGizmo();
+      }
+    }
+
+    // The scene object was replaced (preset change, reload)
+    function refresh() {
+      const scene = host.getScene();
+      if (!scene || !Array.isArray(scene.shots) || !scene.shots[selected]) selected = -1;
+      if (selected < 0 && open && scene && Array.isArray(scene.shots) && scene.shots.length) selected = 0;
+      renderLanes();
+      syncInspector(true);
+      drawGizmo();
+    }
+
+    // Per frame while open
+    function update(time) {
+      if (!open) return;
+      if (playhead) playhead.style.left = percent(time);
+      drawGizmo();
+    }
+
+    shotsLane.addEventListener('pointerdown', onShotPointerDown);
+    shotsLane.addEventListener('pointermove', onShotPointerMove);
+    shotsLane.addEventListener('pointerup', onShotPointerUp);
+    shotsLane.addEventListener('pointercancel', onShotPointerUp);
+    beatsLane.addEventListener('pointerdown', onBeatPointerDown);
+    beatsLane.addEventListener('pointermove', onBeatPointerMove);
+    beatsLane.addEventListener('pointerup', onBeatPointerUp);
+    beatsLane.addEventListener('pointercancel', onBeatPointerUp);
+    beatsLane.addEventListener('dblclick', onBeatDoubleClick);
+
+    if (gizmo) {
+      gizmo.addEventListener('pointerdown', onGizmoPointerDown);
+      gizmo.addEventListener('pointermove', onGizmoPointerMove);
+      gizmo.addEventListener('pointerup', onGizmoPointerUp);
+      gizmo.addEventListener('pointercancel', onGizmoPointerUp);
+    }
+
+    if (viewSelect) {
+      viewSelect.addEventListener('change', () => {
+        view = viewSelect.value === 'overview' ? 'overview' : 'shot';
+        drawGizmo();
+      });
+    }
+
+    const btnApply = root.querySelector('#btn-editor-apply');
+    if (btnApply) btnApply.addEventListener('click', applyJson);
+
+    const btnExport = root.querySelector('#btn-editor-export');
+    if (btnExport) btnExport.addEventListener('click', exportScene);
+
+    return {
+      get isOpen() { return open; },
+      setOpen,
+      toggle: () => setOpen(!open),
+      refresh,
+      update,
+      getOverviewPose
+    };
+  }
+
+  // ============================================================================
+  // UTILITIES
+  // ============================================================================
+
+  // Free space around a shot: from the end of the shot before it to the
+  // start of the shot after it (or the end of the scene)
+  function shotBounds(shots, shot, end) {
+    let min = 0;
+    let max = Math.max(end, shot.time[1]);
+    for (const other of shots) {
+      if (other === shot) continue;
+      if (other.time[1] <= shot.time[0] + 1e-3) min = Math.max(min, other.time[1]);
+      if (other.time[0] >= shot.time[1] - 1e-3) max = Math.min(max, other.time[0]);
+    }
+    return { min, max };
+  }
+
+  function shotEndingAt(shots, time, except) {
+    return shots.find(s => s !== except && Math.abs(s.time[1] - time) < 1e-3) || null;
+  }
+
+  function shotStartingAt(shots, time, except) {
+    return shots.find(s => s !== except && Math.abs(s.time[0] - time) < 1e-3) || null;
+  }
+
+  function snapToBeat(beats, time) {
+    if (!Array.isArray(beats)) return time;
+    const beat = window.DroneTimeline.nearestBeat(beats, time);
+    return beat !== null && Math.abs(beat - time) < SNAP_SECONDS ? beat : time;
+  }
+
+  function isVec3(value) {
+    return Array.isArray(value) && value.length === 3;
+  }
+
+  function round2(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  function clamp(v, min, max) {
+    return Math.max(min, Math.min(max, v));
+  }
+
+  window.DroneEditor = { create };
+
+})();
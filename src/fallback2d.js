@@ -20,15 +20,30 @@
   let fps = 60;
 
   let currentShot = null;
+  let loopPlayback = true;
+  let urlParams = {}; // See src/params.js
+  let clipHost = null; // window.DroneClip backend (src/api.js)
   let buildings = [];
+  let transitionCanvas = null; // Offscreen frame for crossfades
+  let transitionCtx = null;
   let audioElement = null;
+  let audioUrl = null; // Object URL of the loaded track (revoked on replace)
   let hasAudio = false;
+  let audioPlayBlocked = false; // Retried on the next user action
+  const playClock = window.DroneClock.createClock(); // Follows the track while it plays
   let isLocalMode = false;
+  let outputAspect = window.DroneFormats.DEFAULT_ASPECT; // Frame shape (src/formats.js)
+  let safeGuidesVisible = false;
 
   // Recording
+  const RECORDING_FPS = 25;
   let mediaRecorder = null;
   let recordedChunks = [];
   let isRecording = false;
+  let isRecordingAudio = false;
+  let audioContext = null; // Only created for takes with a track
+  let audioSource = null; // Current track routed through audioContext (from its first take on)
+  let recordingDestination = null; // Tap mixed into takes
 
   // ============================================================================
   // INITIALIZATION
@@ -38,11 +53,15 @@
     canvas = document.getElementById('canvas');
     ctx = canvas.getContext('2d');
 
-    const loading = document.getElementById('loading');
+    const status = document.getElementById('init-status');
+
+    const parsed = window.DroneParams.parse(window.location.search);
+    urlParams = parsed.params;
+    parsed.warnings.forEach(warning => console.warn('[2D]', warning));
 
     try {
       // Load scene (with file:// detection)
-      sceneData = await loadSceneData('scene.json');
+      sceneData = await loadInitialScene();
       console.log('[2D Fallback] Scene loaded:', sceneData.meta.title);
 
       // Setup canvas size
@@ -55,8 +74,10 @@
       setupUI();
       setupKeyboard();
 
-      // Hide loading
-      loading.classList.add('hidden');
+      // Reveal the splash controls
+      showReady();
+      setupClipAPI();
+      applyUrlParams();
 
       // Start render
       lastFrameTime = performance.now();
@@ -65,14 +86,50 @@
       console.log('✓ 2D Fallback initialized');
     } catch (error) {
       console.error('[2D Fallback] Init failed:', error);
-      loading.innerHTML = `<div style="color: #ff3333;">Error: ${error.message}</div>`;
+      if (status) {
+        status.textContent = 'Error: ' + error.message;
+        status.style.color = '#ff3333';
+      }
     }
   };
 
+  function showReady() {
+    const spinner = document.getElementById('init-spinner');
+    const status = document.getElementById('init-status');
+    const buttons = document.getElementById('splash-buttons');
+    const controls = document.getElementById('splash-controls');
+    const deck = document.getElementById('control-deck');
+
+    if (spinner) spinner.classList.add('hidden');
+    if (status) status.textContent = '✓ Ready (2D mode)';
+    if (buttons) buttons.style.display = 'flex';
+    if (controls) controls.style.display = 'flex';
+    if (deck) deck.classList.add('visible');
+  }
+
+  // Letterboxes #stage in the wrapper at the output shape, like WebGL
   function resizeCanvas() {
     const wrapper = document.getElementById('canvas-wrapper');
-    canvas.width = wrapper.clientWidth;
-    canvas.height = wrapper.clientHeight;
+    const stage = document.getElementById('stage');
+    const ratio = window.DroneFormats.ratio(outputAspect);
+    wrapper.style.setProperty('--frame-ratio', ratio);
+
+    const frame = window.DroneFormats.fit(wrapper.clientWidth, wrapper.clientHeight, ratio);
+    if (stage) {
+      stage.style.left = `${frame.x}px`;
+      stage.style.top = `${frame.y}px`;
+      stage.style.width = `${frame.width}px`;
+      stage.style.height = `${frame.height}px`;
+    }
+    canvas.width = frame.width;
+    canvas.height = frame.height;
+
+    if (!transitionCanvas) {
+      transitionCanvas = document.createElement('canvas');
+      transitionCtx = transitionCanvas.getContext('2d');
+    }
+    transitionCanvas.width = canvas.width;
+    transitionCanvas.height = canvas.height;
   }
 
   // ============================================================================
@@ -107,57 +164,32 @@
   // ============================================================================
 
   function getCameraState(time) {
-    // Find current shot
-    let shot = null;
-    for (const s of sceneData.shots) {
-      if (time >= s.time[0] && time < s.time[1]) {
-        shot = s;
-        break;
-      }
-    }
-
-    if (!shot) {
-      shot = sceneData.shots[sceneData.shots.length - 1];
-    }
-
-    const shotDuration = shot.time[1] - shot.time[0];
-    const t = Math.max(0, Math.min(1, (time - shot.time[0]) / shotDuration));
-
-    // Interpolate position (simple lerp for 2D)
-    const points = shot.path.points;
-    const segmentCount = points.length - 1;
-    const segmentT = t * segmentCount;
-    const segmentIndex = Math.floor(segmentT);
-    const segmentFrac = segmentT - segmentIndex;
-
-    const p1 = points[Math.min(segmentIndex, segmentCount - 1)];
-    const p2 = points[Math.min(segmentIndex + 1, segmentCount)];
-
-    const x = lerp(p1[0], p2[0], segmentFrac);
-    const y = lerp(p1[1], p2[1], segmentFrac);
-    const z = lerp(p1[2], p2[2], segmentFrac);
-
-    // Interpolate effects
-    const bloom = lerp(shot.fx.bloom[0], shot.fx.bloom[1], t);
-    const vignette = lerp(shot.fx.vignette[0], shot.fx.vignette[1], t);
-    const fov = lerp(shot.camera.fov[0], shot.camera.fov[1], t);
+    // Shared with the WebGL renderer (src/timeline.js)
+    const state = window.DroneTimeline.evaluateScene(sceneData, time);
+    const cam = toCamera(state);
+    cam.transition = state.transition;
+    if (state.transition) cam.yaw += state.transition.yaw;
+    return cam;
+  }
 
-    // Audio energy (simplified)
-    let audioEnergy = 0;
-    const nearestBeat = sceneData.beats.reduce((prev, curr) =>
-      Math.abs(curr - time) < Math.abs(prev - time) ? curr : prev
-    );
-    const beatDist = Math.abs(nearestBeat - time);
-    audioEnergy = beatDist < 0.1 ? 1.0 : 0.2;
+  function toCamera(state) {
+    const shake = state.shake || { offset: [0, 0, 0], pitch: 0, yaw: 0, roll: 0 };
 
     return {
-      shot,
-      x, y, z, t,
-      fov,
-      bloom: bloom + shot.fx.neonPulse * audioEnergy,
-      vignette,
-      fade: shot.fx.fade && time >= shot.fx.fade[0] ?
-        1 - Math.min(1, (time - shot.fx.fade[0]) / (shot.fx.fade[1] - shot.fx.fade[0])) : 1
+      shot: state.shot,
+      shotIndex: state.shotIndex,
+      x: state.position[0] + shake.offset[0],
+      y: state.position[1] + shake.offset[1],
+      z: state.position[2] + shake.offset[2],
+      t: state.progress,
+      fov: window.DroneFormats.compensateFov(state.fov, canvas.width / canvas.height),
+      roll: state.roll + shake.roll,
+      pitch: shake.pitch,
+      yaw: shake.yaw,
+      bloom: state.fx.bloom,
+      vignette: state.fx.vignette,
+      windows: state.fx.windows,
+      fade: state.fx.fade * state.fx.exposure
     };
   }
 
@@ -174,50 +206,72 @@
 
     // Update time
     if (isPlaying) {
-      if (isRecording) {
-        currentTime += 1 / 25 * playbackSpeed;
+      const audioClock = audioClockSource();
+      if (isRecording && !(isRecordingAudio && audioClock)) {
+        // Video-only takes advance exactly one frame per rendered frame
+        currentTime += 1 / RECORDING_FPS * playbackSpeed;
       } else {
-        currentTime += (delta / 1000) * playbackSpeed;
+        currentTime = playClock.advance(currentTime, delta / 1000, playbackSpeed, audioClock);
+        // Takes with audio follow the track, snapped to the frame grid
+        if (isRecording) currentTime = Math.floor(currentTime * RECORDING_FPS) / RECORDING_FPS;
       }
 
       if (currentTime >= sceneData.meta.duration) {
+        const looping = loopPlayback && !isRecording;
+        emitClipEvent('ended', { time: sceneData.meta.duration, looping });
         if (isRecording) {
           stopRecording();
           isPlaying = false;
-        } else {
+        } else if (looping) {
           currentTime = 0;
+          syncAudio(true);
+        } else {
+          currentTime = sceneData.meta.duration;
+          togglePlay();
         }
       }
 
-      if (audioElement && hasAudio) {
-        const diff = Math.abs(audioElement.currentTime - currentTime);
-        if (diff > 0.1) {
-          audioElement.currentTime = currentTime;
-        }
-      }
+      syncAudio(false);
     }
 
+    const cam = drawFrame(currentTime);
+
+    // Update HUD
+    updateHUD(cam);
+  }
+
+  function drawFrame(time) {
     // Get camera state
-    const cam = getCameraState(currentTime);
+    const cam = getCameraState(time);
     currentShot = cam.shot;
-
-    // Clear canvas
-    ctx.fillStyle = '#000510';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (clipHost) {
+      clipHost.trackFrame({ time, shot: cam.shot, shotIndex: cam.shotIndex }, sceneData.beats, isPlaying);
+    }
 
     // Draw scene
-    drawScene(cam);
+    drawScene(ctx, cam);
+    applyTransition(cam);
 
     // Apply post-FX
     applyPostFX(cam);
+    applyTransitionFlash(cam);
 
-    // Update HUD
-    updateHUD(cam);
+    // Titles last, like the WebGL title pass (never graded or faded)
+    window.DroneTitles.draw(ctx, canvas.width, canvas.height, sceneData.titles, time);
+
+    return cam;
   }
 
-  function drawScene(cam) {
-    const centerX = canvas.width / 2;
-    const centerY = canvas.height / 2;
+  function drawScene(ctx, cam) {
+    const target = ctx.canvas;
+
+    // Clear canvas
+    ctx.fillStyle = '#000510';
+    ctx.fillRect(0, 0, target.width, target.height);
+
+    // Yaw/pitch (whip pans, shake) slide the view: one fov of turn is one frame
+    const centerX = target.width / 2 - (cam.yaw / cam.fov) * (180 / Math.PI) * target.width;
+    const centerY = target.height / 2 + (cam.pitch / cam.fov) * (180 / Math.PI) * target.height;
 
     // Perspective scale based on FOV
     const scale = 800 / cam.fov;
@@ -248,7 +302,8 @@
 
       // Windows (only on near buildings)
       if (dz < 40 && screenH > 20) {
-        ctx.fillStyle = building.color + Math.floor(brightness * 255).toString(16).padStart(2, '0');
+        const windowAlpha = Math.min(255, Math.floor(brightness * cam.windows * 255));
+        ctx.fillStyle = building.color + windowAlpha.toString(16).padStart(2, '0');
         const windowSize = Math.max(2, screenW * 0.15);
         const windowCount = Math.floor(screenH / (windowSize * 2));
 
@@ -294,6 +349,44 @@
     }
   }
 
+  // Crossfade (second shot drawn offscreen) and whip-pan smear
+  function applyTransition(cam) {
+    const t = cam.transition;
+    if (!t) return;
+
+    if (t.type === 'crossfade' && t.from && t.to && transitionCtx) {
+      const incoming = cam.shot === t.to.shot;
+      drawScene(transitionCtx, toCamera(incoming ? t.from : t.to));
+      ctx.globalAlpha = incoming ? 1 - t.mix : t.mix;
+      ctx.drawImage(transitionCanvas, 0, 0);
+      ctx.globalAlpha = 1;
+    }
+
+    if (t.blur > 0) {
+      const smear = t.blur * canvas.width * 0.04;
+      ctx.globalAlpha = 0.3;
+      for (let i = 1; i <= 4; i++) {
+        ctx.drawImage(canvas, smear * i, 0);
+        ctx.drawImage(canvas, -smear * i, 0);
+      }
+      ctx.globalAlpha = 1;
+    }
+  }
+
+  function applyTransitionFlash(cam) {
+    const t = cam.transition;
+    if (!t) return;
+
+    if (t.flash > 0) {
+      ctx.fillStyle = `rgba(255, 255, 255, ${t.flash})`;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    if (t.dip > 0) {
+      ctx.fillStyle = `rgba(0, 0, 0, ${t.dip})`;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+  }
+
   function applyPostFX(cam) {
     const w = canvas.width;
     const h = canvas.height;
@@ -321,7 +414,7 @@
 
     ctx.putImageData(imageData, 0, 0);
 
-    // Fade
+    // Fade (exposure above 1 can't brighten a 2D frame)
     if (cam.fade < 1) {
       ctx.fillStyle = `rgba(0, 0, 0, ${1 - cam.fade})`;
       ctx.fillRect(0, 0, w, h);
@@ -335,16 +428,21 @@
   function startRecording() {
     if (isRecording) return;
 
-    const stream = canvas.captureStream(25);
+    const stream = canvas.captureStream(RECORDING_FPS);
+
+    // Mix in the loaded track when there is one; video-only otherwise
+    const audioTracks = recordingAudioTracks();
+    audioTracks.forEach(track => stream.addTrack(track));
+    isRecordingAudio = audioTracks.length > 0;
+
     recordedChunks = [];
 
     const options = {
-      mimeType: 'video/webm;codecs=vp9',
+      mimeType: pickRecordingMimeType(isRecordingAudio),
       videoBitsPerSecond: 8000000
     };
-
-    if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-      options.mimeType = 'video/webm;codecs=vp8';
+    if (isRecordingAudio) {
+      options.audioBitsPerSecond = 192000;
     }
 
     mediaRecorder = new MediaRecorder(stream, options);
@@ -355,12 +453,10 @@
 
     mediaRecorder.onstop = () => {
       const blob = new Blob(recordedChunks, { type: 'video/webm' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `drone-night-clip-2d-${Date.now()}.webm`;
-      a.click();
-      URL.revokeObjectURL(url);
+      const filename = `drone-night-clip-2d-${window.DroneDownload.fileTimestamp()}.webm`;
+      window.DroneDownload.downloadBlob(blob, filename);
+      showStatus('✓ Recording saved', 3000);
+      emitClipEvent('recordingstop', { blob, filename });
     };
 
     mediaRecorder.start(100);
@@ -368,21 +464,60 @@
 
     currentTime = 0;
     isPlaying = true;
-    if (audioElement) {
-      audioElement.currentTime = 0;
-      audioElement.play();
+    syncAudio(true);
+
+    setRecordButton(true);
+    // A loaded track that could not be tapped is called out, not silently dropped
+    showStatus(hasAudio && !isRecordingAudio ? 'Recording (video only: audio capture unavailable)...' : 'Recording...', 0);
+    emitClipEvent('recordingstart', { fps: RECORDING_FPS, audio: isRecordingAudio });
+    console.log(`[2D] Recording started (${isRecordingAudio ? 'with audio' : 'video only'})`);
+  }
+
+  // Routes the track through Web Audio on its first take (an element can
+  // only be routed once), feeding both the speakers and the recording tap
+  function recordingAudioTracks() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!hasAudio || !audioElement || !AudioContextClass) return [];
+
+    try {
+      if (!audioContext) audioContext = new AudioContextClass();
+      if (!audioContext.createMediaStreamDestination) return [];
+      if (!recordingDestination) recordingDestination = audioContext.createMediaStreamDestination();
+
+      if (!audioSource) {
+        audioSource = audioContext.createMediaElementSource(audioElement);
+        audioSource.connect(audioContext.destination);
+        audioSource.connect(recordingDestination);
+      }
+      if (audioContext.state === 'suspended') audioContext.resume();
+
+      return recordingDestination.stream.getAudioTracks();
+    } catch (err) {
+      console.warn('[2D] Audio capture unavailable, recording video only:', err);
+      return [];
     }
+  }
 
-    document.getElementById('btn-record').textContent = '⏹ Stop Recording';
-    document.getElementById('btn-record').classList.add('recording');
+  function pickRecordingMimeType(withAudio) {
+    const candidates = withAudio
+      ? ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+      : ['video/webm;codecs=vp9', 'video/webm;codecs=vp8'];
+    return candidates.find(type => MediaRecorder.isTypeSupported(type)) || candidates[candidates.length - 1];
   }
 
   function stopRecording() {
     if (!isRecording) return;
     mediaRecorder.stop();
     isRecording = false;
-    document.getElementById('btn-record').textContent = '⏺ Record 25fps';
-    document.getElementById('btn-record').classList.remove('recording');
+    isRecordingAudio = false;
+    setRecordButton(false);
+  }
+
+  function setRecordButton(recording) {
+    const btn = document.getElementById('btn-record');
+    if (!btn) return;
+    btn.textContent = recording ? 'Stop' : 'Record';
+    btn.classList.toggle('recording', recording);
   }
 
   // ============================================================================
@@ -390,63 +525,156 @@
   // ============================================================================
 
   function setupUI() {
-    document.getElementById('btn-play').addEventListener('click', () => {
-      isPlaying = !isPlaying;
-      document.getElementById('btn-play').textContent = isPlaying ? '⏸ Pause' : '▶ Play';
+    on('btn-start', 'click', () => {
+      const splash = document.getElementById('splash');
+      if (splash) splash.classList.add('hidden');
+      if (!isPlaying) togglePlay();
+    });
+
+    on('btn-playpause', 'click', togglePlay);
 
-      if (isPlaying && audioElement) audioElement.play();
-      else if (audioElement) audioElement.pause();
+    on('btn-reset', 'click', () => {
+      currentTime = 0;
+      syncAudio(true);
     });
 
-    document.getElementById('btn-record').addEventListener('click', () => {
+    on('btn-record', 'click', () => {
       if (isRecording) stopRecording();
       else startRecording();
     });
 
-    document.getElementById('input-audio').addEventListener('change', (e) => {
+    on('input-audio-splash', 'change', (e) => {
       const file = e.target.files[0];
       if (file) setupAudio(file);
     });
 
-    document.getElementById('preset-select').addEventListener('change', async (e) => {
-      const path = e.target.value || 'scene.json';
+    on('input-scene-splash', 'change', (e) => {
+      const file = e.target.files[0];
+      if (file) loadSceneFile(file);
+      e.target.value = '';
+    });
+
+    on('canvas-wrapper', 'dragover', (e) => {
+      if (e.dataTransfer && e.dataTransfer.files) e.preventDefault();
+    });
+
+    on('canvas-wrapper', 'drop', (e) => {
+      const file = e.dataTransfer && e.dataTransfer.files[0];
+      if (!window.DronePresets.isSceneFile(file)) return;
+      e.preventDefault();
+      loadSceneFile(file);
+    });
+
+    const presetSelect = document.getElementById('preset-select');
+    window.DronePresets.populateSelect(presetSelect);
+    on('preset-select', 'change', async (e) => {
+      const id = e.target.value || window.DronePresets.DEFAULT_ID;
       try {
-        sceneData = await loadSceneData(path);
-        currentTime = 0;
-        currentShot = null;
-        generateCity();
+        applyScene(await loadSceneData(id));
       } catch (err) {
         console.error('Failed to load preset:', err);
+        emitClipEvent('error', { source: id, message: err.message });
       }
     });
 
+    on('output-format', 'change', (e) => setOutputFormat(e.target.value));
+    on('btn-guides', 'click', () => setSafeGuidesVisible(!safeGuidesVisible));
+    document.querySelectorAll('#safe-guides .safe-area').forEach(el => {
+      const fraction = window.DroneFormats.SAFE_AREAS[el.dataset.area];
+      if (fraction) el.style.inset = `${(1 - fraction) / 2 * 100}%`;
+    });
+
     window.addEventListener('resize', resizeCanvas);
   }
 
+  function setOutputFormat(aspect) {
+    const name = window.DroneFormats.normalize(aspect);
+    if (name && !isRecording) {
+      outputAspect = name;
+      resizeCanvas();
+    }
+    const select = document.getElementById('output-format');
+    if (select) select.value = outputAspect;
+  }
+
+  function setSafeGuidesVisible(visible) {
+    safeGuidesVisible = visible;
+    const guides = document.getElementById('safe-guides');
+    if (guides) guides.hidden = !visible;
+    const btn = document.getElementById('btn-guides');
+    if (btn) btn.classList.toggle('primary', visible);
+  }
+
+  function togglePlay() {
+    if (!isPlaying && currentTime >= sceneData.meta.duration) currentTime = 0;
+    isPlaying = !isPlaying;
+    setText('btn-playpause', isPlaying ? 'Pause' : 'Play');
+
+    syncAudio(true);
+  }
+
+  // Same ?t= / ?speed= / ?autoplay= / ?record= / ?hud= / ?loop= / ?format= /
+  // ?guides= handling as WebGL
+  function applyUrlParams() {
+    const params = urlParams;
+
+    if (params.loop !== undefined) loopPlayback = params.loop;
+    if (params.format !== undefined) setOutputFormat(params.format);
+    if (params.guides !== undefined) setSafeGuidesVisible(params.guides);
+    if (params.speed !== undefined) setPlaybackSpeed(params.speed);
+    if (params.hud !== undefined) {
+      hudVisible = params.hud;
+      const hud = document.getElementById('hud');
+      if (hud) hud.classList.toggle('visible', hudVisible);
+    }
+    if (params.t !== undefined) currentTime = Math.min(params.t, sceneData.meta.duration);
+
+    if (params.record || params.autoplay) {
+      const splash = document.getElementById('splash');
+      if (splash) splash.classList.add('hidden');
+    }
+    if (params.record) startRecording();
+    else if (params.autoplay && !isPlaying) togglePlay();
+  }
+
+  // Elements differ between page versions; missing ones are skipped
+  function on(id, event, handler) {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener(event, handler);
+  }
+
+  function setText(id, text) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  }
+
   function setupKeyboard() {
     window.addEventListener('keydown', (e) => {
       switch(e.key) {
         case ' ':
           e.preventDefault();
-          document.getElementById('btn-play').click();
+          togglePlay();
           break;
         case 'h':
         case 'H':
           hudVisible = !hudVisible;
           const hud = document.getElementById('hud');
-          if (hudVisible) hud.classList.add('visible');
-          else hud.classList.remove('visible');
+          if (hud) hud.classList.toggle('visible', hudVisible);
           break;
         case ',':
-          playbackSpeed = Math.max(0.5, playbackSpeed - 0.25);
+          setPlaybackSpeed(playbackSpeed - 0.25);
           break;
         case '.':
-          playbackSpeed = Math.min(2.0, playbackSpeed + 0.25);
+          setPlaybackSpeed(playbackSpeed + 0.25);
           break;
         case 'r':
         case 'R':
           currentTime = 0;
-          if (audioElement) audioElement.currentTime = 0;
+          syncAudio(true);
+          break;
+        case 'g':
+        case 'G':
+          setSafeGuidesVisible(!safeGuidesVisible);
           break;
       }
     });
@@ -457,84 +685,311 @@
       audioElement.pause();
       audioElement.remove();
     }
+    if (audioSource) {
+      audioSource.disconnect();
+      audioSource = null;
+    }
 
     audioElement = document.createElement('audio');
-    audioElement.src = URL.createObjectURL(file);
+    if (audioUrl) URL.revokeObjectURL(audioUrl);
+    audioUrl = URL.createObjectURL(file);
+    audioElement.src = audioUrl;
     audioElement.loop = false;
+    audioElement.addEventListener('loadedmetadata', () => {
+      fitSceneToTrack();
+      syncAudio(true);
+    });
     hasAudio = true;
 
-    if (isPlaying) {
-      audioElement.currentTime = currentTime;
-      audioElement.play();
+    syncAudio(true);
+  }
+
+  // Same meta.audio timing as WebGL; fades set the element volume (no Web
+  // Audio graph in this renderer)
+  function audioTiming() {
+    const duration = audioElement ? audioElement.duration : NaN;
+    return window.DroneAudioTiming.resolve(sceneData.meta.audio, duration, sceneData.meta.duration);
+  }
+
+  // Positions the track only when it (re)starts or on an explicit seek;
+  // while it plays it is the clock, so there is no drift to correct
+  function syncAudio(seek) {
+    if (!audioElement || !hasAudio) return;
+
+    const timing = audioTiming();
+    const trackTime = window.DroneAudioTiming.fileTime(timing, currentTime);
+    audioElement.volume = window.DroneAudioTiming.gainAt(timing, trackTime);
+
+    if (seek) audioPlayBlocked = false;
+    const shouldPlay = isPlaying && trackTime !== null;
+    const starting = shouldPlay && audioElement.paused && !audioPlayBlocked;
+
+    if (trackTime !== null && (seek || starting)) {
+      audioElement.currentTime = trackTime;
+      playClock.reset();
+    }
+
+    if (starting) {
+      audioElement.playbackRate = playbackSpeed;
+      audioElement.play().catch(err => {
+        audioPlayBlocked = true;
+        console.warn('[2D] Audio play failed:', err);
+      });
+    } else if (!shouldPlay && !audioElement.paused) {
+      audioElement.pause();
+    }
+  }
+
+  function audioClockSource() {
+    if (!audioElement || !hasAudio || audioElement.paused || audioElement.ended || audioElement.seeking) return null;
+
+    const timing = audioTiming();
+    return {
+      mediaTime: audioElement.currentTime,
+      clockTime: performance.now() / 1000,
+      rate: audioElement.playbackRate,
+      toScene: t => window.DroneAudioTiming.sceneTime(timing, t)
+    };
+  }
+
+  function setPlaybackSpeed(speed) {
+    playbackSpeed = Math.min(Math.max(speed, 0.5), 2.0);
+    if (audioElement) audioElement.playbackRate = playbackSpeed;
+    return playbackSpeed;
+  }
+
+  function fitSceneToTrack() {
+    if (!audioElement || !hasAudio) return;
+
+    const timing = audioTiming();
+    const end = window.DroneAudioTiming.trackEnd(timing);
+    if (!timing.fit || !(end > 0)) return;
+
+    const factor = window.DroneAudioTiming.fitScene(sceneData, end);
+    if (factor !== 1) {
+      currentTime = Math.min(currentTime * factor, end);
+      console.log('[2D] Scene fitted to track:', end.toFixed(2) + 's');
     }
   }
 
   function updateHUD(cam) {
-    document.getElementById('hud-time').textContent = currentTime.toFixed(2) + 's';
-    document.getElementById('hud-shot').textContent = currentShot ? currentShot.name : '-';
-    document.getElementById('hud-fps').textContent = fps;
-    document.getElementById('hud-speed').textContent = playbackSpeed.toFixed(1) + 'x';
-    document.getElementById('hud-fov').textContent = Math.round(cam.fov) + '°';
-    document.getElementById('hud-bloom').textContent = cam.bloom.toFixed(2);
-    document.getElementById('hud-audio').textContent = hasAudio ? 'Yes' : 'Beats';
+    setText('hud-time', currentTime.toFixed(2) + 's');
+    setText('hud-shot', currentShot ? currentShot.name : '-');
+    setText('hud-fps', fps);
+    setText('hud-speed', playbackSpeed.toFixed(1) + 'x');
+    setText('hud-fov', Math.round(cam.fov) + '°');
+    setText('hud-bloom', cam.bloom.toFixed(2));
+    setText('hud-audio', hasAudio ? 'Yes' : 'Beats');
+  }
+
+  // ============================================================================
+  // PUBLIC API (window.DroneClip, same interface as the WebGL renderer)
+  // ============================================================================
+
+  function setupClipAPI() {
+    if (!window.DroneClipHost || clipHost) return;
+
+    clipHost = window.DroneClipHost.register('2d', {
+      play() {
+        if (!isPlaying) togglePlay();
+      },
+      pause() {
+        if (isPlaying) togglePlay();
+      },
+      seek(time) {
+        if (isRecording) throw new Error('seek() is unavailable while recording');
+        currentTime = Math.min(Math.max(Number(time) || 0, 0), sceneData.meta.duration);
+        syncAudio(true);
+      },
+      setSpeed(speed) {
+        return setPlaybackSpeed(Number(speed) || 1);
+      },
+      loadScene(data) {
+        const result = window.DroneSchema.validateScene(JSON.parse(JSON.stringify(data)));
+        reportSceneIssues('DroneClip.loadScene', result.issues);
+        if (!result.ok) {
+          const error = new Error('scene failed validation');
+          error.sceneIssues = result.issues;
+          throw error;
+        }
+        applyScene(result.data);
+        return { issues: result.issues.map(issue => window.DroneSchema.formatIssue(issue)) };
+      },
+      loadAudio(blob) {
+        if (!(blob instanceof Blob)) throw new Error('loadAudio() expects a Blob or File');
+        setupAudio(blob);
+      },
+      renderFrame(time, options) {
+        if (isRecording) throw new Error('renderFrame() is unavailable while recording');
+        const type = (options && options.type) || 'image/png';
+
+        if (isPlaying) togglePlay();
+        currentTime = Math.min(Math.max(Number(time) || 0, 0), sceneData.meta.duration);
+        drawFrame(currentTime);
+
+        if (type === 'bitmap') return createImageBitmap(canvas);
+        return new Promise((resolve, reject) => {
+          canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas encoding failed'))), type);
+        });
+      },
+      getState() {
+        return {
+          renderer: '2d',
+          title: sceneData.meta.title,
+          time: currentTime,
+          duration: sceneData.meta.duration,
+          playing: isPlaying,
+          speed: playbackSpeed,
+          recording: isRecording,
+          exporting: false,
+          shot: currentShot ? currentShot.name : null,
+          shotIndex: currentShot ? sceneData.shots.indexOf(currentShot) : -1,
+          hasAudio,
+          loop: loopPlayback && !isRecording ? [0, sceneData.meta.duration] : null
+        };
+      }
+    });
+  }
+
+  function emitClipEvent(type, detail) {
+    if (clipHost) clipHost.emit(type, detail);
   }
 
   // ============================================================================
   // ENHANCED DATA LOADING (file:// support)
   // ============================================================================
 
-  async function loadSceneData(path) {
-    const isFileProtocol = window.location.protocol === 'file:';
+  // ?scene=path wins over ?preset=id, which wins over the default preset
+  async function loadInitialScene() {
+    const params = urlParams;
+    let data = null;
+    let sceneError = null;
 
-    if (!isFileProtocol) {
+    if (params.scene) {
       try {
-        const response = await fetch(path);
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        return await response.json();
-      } catch (fetchError) {
-        console.warn('[2D] Fetch failed, using inline:', fetchError);
+        data = await window.DronePresets.loadUrl(params.scene, acceptScene);
+      } catch (err) {
+        console.warn(`[2D] Failed to load ?scene=${params.scene}:`, err.message);
+        sceneError = err;
       }
     }
+    if (!data) {
+      const presetId = params.preset && window.DronePresets.get(params.preset) ? params.preset : window.DronePresets.DEFAULT_ID;
+      data = await loadSceneData(presetId);
+      const presetSelect = document.getElementById('preset-select');
+      if (presetSelect) presetSelect.value = presetId;
+    }
+    // Validation failures already listed their issues
+    if (sceneError && !sceneError.sceneIssues) {
+      showStatus(`✗ Scene ${params.scene}: ${sceneError.message}; using a preset`, 6000);
+    }
 
-    return loadInlineScene(path);
+    if (params.seed !== undefined) data.meta.seed = params.seed;
+    return data;
   }
 
-  function loadInlineScene(path) {
-    const pathMap = {
-      'scene.json': 'scene-default',
-      'presets/soft.json': 'scene-soft',
-      'presets/intense.json': 'scene-intense',
-      'presets/dark.json': 'scene-dark',
-      'presets/insane.json': 'scene-insane'
-    };
+  function applyScene(data) {
+    sceneData = data;
+    currentTime = 0;
+    currentShot = null;
+    fitSceneToTrack();
+    generateCity();
+    setText('preset-label', sceneData.meta.title);
+    syncAudio(true);
+  }
 
-    const scriptId = pathMap[path] || 'scene-default';
-    const scriptEl = document.getElementById(scriptId);
+  async function loadSceneFile(file) {
+    try {
+      applyScene(await window.DronePresets.loadFile(file, acceptScene));
+      console.log('[2D] Loaded scene file', file.name);
+    } catch (err) {
+      console.error(`[2D] Scene file ${file.name} rejected:`, err.message);
+      // Validation failures already reported their issues
+      if (!err.sceneIssues) {
+        showStatus(`✗ ${file.name}: ${err.message}`, 5000);
+        emitClipEvent('error', { source: file.name, message: err.message });
+      }
+    }
+  }
 
-    if (!scriptEl) {
-      throw new Error(`Inline scene not found: ${scriptId}`);
+  // Same registry and file → inline fallback as the WebGL renderer
+  async function loadSceneData(presetId) {
+    const result = await window.DronePresets.load(presetId, acceptScene);
+
+    if (result.local) {
+      if (result.fetchError) console.warn('[2D] Fetch failed, using inline:', result.fetchError);
+      if (!isLocalMode) {
+        isLocalMode = true;
+        const indicator = document.getElementById('local-mode');
+        if (indicator) indicator.classList.add('visible');
+        console.log('[2D] 📁 Running in local mode');
+      }
     }
 
-    const data = JSON.parse(scriptEl.textContent);
+    return result.data;
+  }
 
-    if (!isLocalMode) {
-      isLocalMode = true;
-      const indicator = document.getElementById('local-mode');
-      if (indicator) indicator.classList.add('visible');
-      console.log('[2D] 📁 Running in local mode');
+  function acceptScene(text, source) {
+    const result = window.DroneSchema.parseScene(text);
+    reportSceneIssues(source, result.issues);
+
+    if (!result.ok) {
+      const error = new Error(`${source} failed validation`);
+      error.sceneIssues = result.issues;
+      throw error;
     }
+    return result.data;
+  }
 
-    return data;
+  // Console plus the status panel, like the WebGL renderer
+  function reportSceneIssues(source, issues) {
+    if (!issues.length) return;
+
+    const formatted = issues.map(issue => window.DroneSchema.formatIssue(issue));
+    issues.forEach((issue, i) => {
+      const log = issue.severity === 'error' ? console.error : console.warn;
+      log(`[2D] ${source}: ${formatted[i]}`);
+    });
+
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    const summary = errorCount > 0
+      ? `✗ ${source}: ${errorCount} error(s), not loaded`
+      : `⚠ ${source}: repaired ${issues.length} issue(s)`;
+    showStatus(summary, 8000, formatted);
+    if (errorCount > 0) emitClipEvent('error', { source, message: summary, details: formatted });
+  }
+
+  const MAX_STATUS_DETAILS = 6;
+
+  function showStatus(message, duration, details) {
+    const statusEl = document.getElementById('status');
+    const list = document.getElementById('status-issues');
+    if (!statusEl) return;
+
+    setText('status-text', message);
+    statusEl.classList.add('visible');
+
+    const lines = (details || []).slice(0, MAX_STATUS_DETAILS);
+    if (details && details.length > lines.length) {
+      lines.push(`…and ${details.length - lines.length} more (see console)`);
+    }
+    if (list) {
+      list.innerHTML = '';
+      lines.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+      });
+    }
+    statusEl.classList.toggle('has-details', lines.length > 0);
+
+    if (duration > 0) setTimeout(() => statusEl.classList.remove('visible'), duration);
   }
 
   // ============================================================================
   // UTILITIES
   // ============================================================================
 
-  function lerp(a, b, t) {
-    return a + (b - a) * t;
-  }
-
   function seededRandom(seed) {
     let s = seed;
     return function() {
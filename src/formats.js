@@ -0,0 +1,121 @@
+/**
+ * Drone Night POV - Output Formats
+ * Fixed frame shapes (16:9, 9:16, 1:1, 4:5) and pixel sizes for export,
+ * independent of the browser window: the preview letterboxes the frame
+ * inside the wrapper, and the camera FOV is compensated so scenes framed
+ * for vertical keep their composition in other shapes. DOM-free
+ * (window.DroneFormats or require() in Node).
+ */
+
+(function() {
+  'use strict';
+
+  // name → [width, height] ratio terms
+  const ASPECTS = {
+    '9:16': [9, 16],   // Reels / Shorts / TikTok
+    '4:5': [4, 5],     // Feed portrait
+    '1:1': [1, 1],
+    '16:9': [16, 9]
+  };
+
+  // name → pixels on the short side
+  const RESOLUTIONS = {
+    '1080p': 1080,
+    '1440p': 1440,
+    '2160p': 2160  // 4K
+  };
+
+  const DEFAULT_ASPECT = '9:16';
+  const DEFAULT_RESOLUTION = '1080p';
+
+  // Scenes are framed for the vertical preview; FOV is unchanged there
+  const REFERENCE_ASPECT = DEFAULT_ASPECT;
+
+  // Fraction of the frame inside each guide (SMPTE-style, centered)
+  const SAFE_AREAS = {
+    action: 0.93,
+    title: 0.9
+  };
+
+  // ============================================================================
+  // SHAPES & SIZES
+  // ============================================================================
+
+  // Canonical name for "9:16", "9x16" or "9/16"; null when unknown
+  function normalize(name) {
+    const key = String(name || '').trim().replace(/[x/]/i, ':');
+    return ASPECTS[key] ? key : null;
+  }
+
+  // Width / height
+  function ratio(aspect) {
+    const terms = ASPECTS[normalize(aspect) || DEFAULT_ASPECT];
+    return terms[0] / terms[1];
+  }
+
+  // { width, height } in pixels; the long side is rounded to an even number
+  // so video encoders accept it
+  function size(aspect, resolution) {
+    const terms = ASPECTS[normalize(aspect) || DEFAULT_ASPECT];
+    const short = RESOLUTIONS[resolution] || RESOLUTIONS[DEFAULT_RESOLUTION];
+    const long = Math.round(short * Math.max(terms[0], terms[1]) / Math.min(terms[0], terms[1]) / 2) * 2;
+    return terms[0] >= terms[1]
+      ? { width: long, height: short }
+      : { width: short, height: long };
+  }
+
+  // Largest rect of the given ratio centered in a box (CSS pixels)
+  function fit(boxWidth, boxHeight, frameRatio) {
+    let width = boxWidth;
+    let height = boxWidth / frameRatio;
+    if (height > boxHeight) {
+      height = boxHeight;
+      width = boxHeight * frameRatio;
+    }
+    width = Math.max(1, Math.round(width));
+    height = Math.max(1, Math.round(height));
+    return {
+      x: Math.round((boxWidth - width) / 2),
+      y: Math.round((boxHeight - height) / 2),
+      width,
+      height
+    };
+  }
+
+  // ============================================================================
+  // FOV COMPENSATION
+  // ============================================================================
+
+  // Vertical FOV (degrees) for a frame of `frameRatio` that keeps the diagonal
+  // field of view of the reference shape: wider frames get a smaller
+  // vertical FOV instead of an ever wider horizontal one
+  function compensateFov(fov, frameRatio) {
+    const reference = ratio(REFERENCE_ASPECT);
+    if (!(frameRatio > 0) || Math.abs(frameRatio - reference) < 1e-6) return fov;
+
+    const diagonal = r => Math.sqrt(1 + r * r);
+    const half = Math.tan(fov * Math.PI / 360) * diagonal(reference) / diagonal(frameRatio);
+    return Math.min(179, Math.max(1, Math.atan(half) * 360 / Math.PI));
+  }
+
+  const api = {
+    ASPECTS,
+    RESOLUTIONS,
+    DEFAULT_ASPECT,
+    DEFAULT_RESOLUTION,
+    REFERENCE_ASPECT,
+    SAFE_AREAS,
+    normalize,
+    ratio,
+    size,
+    fit,
+    compensateFov
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.DroneFormats = api;
+  }
+
+})();
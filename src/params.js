@@ -0,0 +1,81 @@
+/**
+ * Drone Night POV - URL Parameters
+ * Parses the query string that configures kiosk and automated playback
+ * (?preset=intense&t=6&speed=1&autoplay=1&record=0&hud=1&loop=1&seed=7
+ * &format=16:9&guides=1).
+ * Unknown or malformed values are dropped with a warning, never thrown.
+ * DOM-free (window.DroneParams or require() in Node).
+ */
+
+(function() {
+  'use strict';
+
+  const Formats = (typeof module !== 'undefined' && module.exports)
+    ? require('./formats.js')
+    : window.DroneFormats;
+
+  const TRUE_VALUES = ['', '1', 'true', 'yes', 'on'];
+  const FALSE_VALUES = ['0', 'false', 'no', 'off'];
+
+  // key → parser(raw) returning the value, or undefined when malformed
+  const PARSERS = {
+    preset: raw => raw || undefined,
+    scene: raw => raw || undefined,
+    t: raw => nonNegative(parseFloat(raw)),
+    speed: raw => positive(parseFloat(raw)),
+    seed: raw => (/^\d+$/.test(raw) ? parseInt(raw, 10) : undefined),
+    autoplay: parseBool,
+    record: parseBool,
+    hud: parseBool,
+    loop: parseBool,
+    format: raw => Formats.normalize(raw) || undefined,
+    guides: parseBool
+  };
+
+  // Returns { params, warnings }; absent keys stay undefined
+  function parse(search) {
+    const params = {};
+    const warnings = [];
+    const query = new URLSearchParams(search || '');
+
+    Object.keys(PARSERS).forEach(key => {
+      if (!query.has(key)) return;
+      const raw = query.get(key).trim();
+      const value = PARSERS[key](raw);
+      if (value === undefined) {
+        warnings.push(`?${key}=${raw} is not valid (ignored)`);
+      } else {
+        params[key] = value;
+      }
+    });
+
+    return { params, warnings };
+  }
+
+  function parseBool(raw) {
+    const value = raw.toLowerCase();
+    if (TRUE_VALUES.indexOf(value) !== -1) return true;
+    if (FALSE_VALUES.indexOf(value) !== -1) return false;
+    return undefined;
+  }
+
+  function nonNegative(value) {
+    return isFinite(value) && value >= 0 ? value : undefined;
+  }
+
+  function positive(value) {
+    return isFinite(value) && value > 0 ? value : undefined;
+  }
+
+  const api = {
+    KEYS: Object.keys(PARSERS),
+    parse
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.DroneParams = api;
+  }
+
+})();
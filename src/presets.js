@@ -0,0 +1,118 @@
+/**
+ * Drone Night POV - Preset Registry & Scene Sources
+ * Single manifest of the shipped scenes, shared by the WebGL and 2D
+ * renderers. Each preset loads from its JSON file over http(s) and falls
+ * back to an embedded <script type="application/json"> copy under file://
+ * or when the fetch fails. Custom scenes come from a URL (?scene=) or a
+ * picked/dropped File.
+ */
+
+(function() {
+  'use strict';
+
+  const FETCH_TIMEOUT = 3000;
+
+  // id: value in #preset-select · file: fetched over http(s)
+  // inline: id of the embedded copy in index.html (keep in sync with file)
+  const PRESETS = [
+    { id: 'default', label: 'Default', file: 'scene.json', inline: 'scene-inline' },
+    { id: 'soft', label: 'Soft', file: 'presets/soft.json', inline: 'scene-soft' },
+    { id: 'intense', label: 'Intense', file: 'presets/intense.json', inline: 'scene-intense' },
+    { id: 'dark', label: 'Very Dark', file: 'presets/dark.json', inline: 'scene-dark' },
+    { id: 'insane', label: 'Insane', file: 'presets/insane.json', inline: 'scene-insane' }
+  ];
+
+  const DEFAULT_ID = 'default';
+
+  function get(id) {
+    return PRESETS.find(preset => preset.id === id) || null;
+  }
+
+  function populateSelect(select, selectedId) {
+    if (!select) return;
+
+    select.innerHTML = '';
+    PRESETS.forEach(preset => {
+      const option = document.createElement('option');
+      option.value = preset.id;
+      option.textContent = preset.label;
+      select.appendChild(option);
+    });
+    select.value = get(selectedId) ? selectedId : DEFAULT_ID;
+  }
+
+  // `accept(text, source)` parses and validates, throwing on a bad scene.
+  // Resolves to { data, preset, local, fetchError }; rejects only when the
+  // inline copy is missing or invalid too.
+  async function load(id, accept) {
+    const preset = get(id);
+    if (!preset) throw new Error(`Unknown preset "${id}"`);
+
+    let fetchError = null;
+
+    if (window.location.protocol !== 'file:') {
+      try {
+        return { data: accept(await fetchText(preset.file), preset.file), preset, local: false, fetchError: null };
+      } catch (err) {
+        fetchError = err;
+      }
+    }
+
+    const scriptEl = document.getElementById(preset.inline);
+    if (!scriptEl) {
+      throw new Error(`Inline scene not found: ${preset.inline}`);
+    }
+
+    return { data: accept(scriptEl.textContent, `inline ${preset.id}`), preset, local: true, fetchError };
+  }
+
+  // ============================================================================
+  // CUSTOM SCENES
+  // ============================================================================
+
+  // No inline fallback: the caller decides what to load instead
+  async function loadUrl(url, accept) {
+    if (window.location.protocol === 'file:') {
+      throw new Error(`${url} can't be fetched in file:// mode; drop the file onto the canvas instead`);
+    }
+    return accept(await fetchText(url), url);
+  }
+
+  async function loadFile(file, accept) {
+    if (!isSceneFile(file)) {
+      throw new Error(`${file.name} is not a .json scene file`);
+    }
+    return accept(await file.text(), file.name);
+  }
+
+  function isSceneFile(file) {
+    return !!file && (/\.json$/i.test(file.name) || file.type === 'application/json');
+  }
+
+  async function fetchText(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return await response.text();
+    } catch (err) {
+      if (err.name === 'AbortError') throw new Error(`timed out after ${FETCH_TIMEOUT / 1000}s`);
+      throw err;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  window.DronePresets = {
+    PRESETS,
+    DEFAULT_ID,
+    get,
+    populateSelect,
+    load,
+    loadUrl,
+    loadFile,
+    isSceneFile
+  };
+
+})();
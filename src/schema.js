@@ -0,0 +1,898 @@
+/**
+ * Drone Night POV - Scene Schema & Validation
+ * Formal description of the meta/beats/shots scene format plus a validator
+ * that reports every problem with its JSON path and source line, and
+ * repairs what can safely be defaulted. DOM-free (window.DroneSchema or
+ * require() in Node).
+ */
+
+(function() {
+  'use strict';
+
+  const Easing = (typeof module !== 'undefined' && module.exports)
+    ? require('./easing.js')
+    : window.DroneEasing;
+  const AudioReactive = (typeof module !== 'undefined' && module.exports)
+    ? require('./audioreactive.js')
+    : window.DroneAudioReactive;
+  const Titles = (typeof module !== 'undefined' && module.exports)
+    ? require('./titles.js')
+    : window.DroneTitles;
+
+  // ============================================================================
+  // SCHEMA
+  // ============================================================================
+  // Node types: object, array, number, string, boolean, range ([start, end] pair),
+  // track (constant, [start, end, ease?] or [[t, value, ease?], ...]), vec2, vec3.
+  // `default` (a value, or a function of the repaired and raw roots) makes a
+  // missing property repairable instead of an error.
+  // Objects with `variants` pick extra properties by their `discriminator` key.
+
+  const RANGE = (min, max, fallback) => ({ type: 'range', min, max, default: fallback });
+  const TRACK = (min, max, fallback) => ({ type: 'track', min, max, default: fallback });
+  const EASE = { type: 'string', enum: Easing.NAMES };
+
+  const POINTS = { type: 'array', minItems: 2, items: { type: 'vec3' } };
+
+  const PATH_SCHEMA = {
+    type: 'object',
+    discriminator: 'type',
+    properties: {
+      type: { type: 'string', enum: ['catmullrom', 'linear', 'bezier', 'orbit'], default: 'catmullrom' }
+    },
+    variants: {
+      catmullrom: { required: ['points'], properties: { points: POINTS } },
+      linear: { required: ['points'], properties: { points: POINTS } },
+      bezier: {
+        required: ['points', 'handles'],
+        properties: {
+          points: POINTS,
+          // One [outHandle, inHandle] pair per segment
+          handles: { type: 'array', items: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'vec3' } } }
+        }
+      },
+      orbit: {
+        required: ['center', 'radius', 'angleDeg'],
+        properties: {
+          center: { type: 'vec3' },
+          radius: TRACK(0),
+          angleDeg: TRACK(),
+          height: TRACK()
+        }
+      }
+    }
+  };
+
+  // Seeded, time-based camera shake; amplitudes are degrees of rotation
+  const SHAKE_LAYER = (rate) => ({
+    type: 'object',
+    required: ['amplitude'],
+    properties: {
+      amplitude: TRACK(0),
+      [rate]: { type: 'number', min: 0.001 }
+    }
+  });
+
+  const SHAKE_SCHEMA = {
+    type: 'object',
+    properties: {
+      handheld: SHAKE_LAYER('frequency'),
+      fpv: SHAKE_LAYER('frequency'),
+      impact: SHAKE_LAYER('decay')
+    }
+  };
+
+  // Blends into the shot that declares it, centered on that shot's start
+  const TRANSITION_SCHEMA = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { type: 'string', enum: ['cut', 'crossfade', 'whip', 'flash', 'dip'] },
+      duration: { type: 'number', min: 0, default: 0.5 },
+      direction: { type: 'string', enum: ['left', 'right'] } // Whip pans only
+    }
+  };
+
+  const SHOT_SCHEMA = {
+    type: 'object',
+    required: ['time', 'path'],
+    properties: {
+      name: { type: 'string', default: 'Shot' },
+      time: { type: 'range', min: 0 },
+      path: PATH_SCHEMA,
+      lookAt: {
+        type: 'object',
+        properties: {
+          target: { type: 'vec3' },
+          path: PATH_SCHEMA
+        }
+      },
+      camera: {
+        type: 'object',
+        default: {},
+        properties: {
+          fov: TRACK(1, 179, [60, 60]),
+          rollDeg: TRACK(-180, 180, [0, 0]),
+          // Path progress: ease shapes the move, speedMul is exit/entry speed
+          ease: EASE,
+          speedMul: { type: 'number', min: 0, default: 1.0 },
+          shake: SHAKE_SCHEMA,
+          oscillation: TRACK(0) // Legacy handheld shake (used when shake.handheld is absent)
+        }
+      },
+      fx: {
+        type: 'object',
+        default: {},
+        properties: {
+          bloom: TRACK(0, 10, [0.2, 0.2]),
+          vignette: TRACK(0, 10, [0.3, 0.3]),
+          neonPulse: TRACK(0, undefined, 0),
+          fade: RANGE(0)
+        }
+      },
+      transition: TRANSITION_SCHEMA
+    }
+  };
+
+  // Skyline generator settings; anything omitted keeps the DroneCity default
+  const CITY_SCHEMA = {
+    type: 'object',
+    properties: {
+      extent: { type: 'number', min: 1 },
+      blockSize: { type: 'number', min: 1 },
+      streetWidth: { type: 'number', min: 0 },
+      buildingsPerBlock: RANGE(0),
+      footprint: RANGE(0.1),
+      height: RANGE(0.5),
+      heightCurve: { type: 'number', min: 0.1 },
+      windowDensity: { type: 'number', min: 0, max: 1 },
+      accentChance: { type: 'number', min: 0, max: 1 },
+      corridorRadius: { type: 'number', min: 0 },
+      // Extra zones kept free of buildings, on top of the path corridor
+      exclude: {
+        type: 'array',
+        items: { type: 'object', required: ['x', 'z'], properties: { x: RANGE(), z: RANGE() } }
+      }
+    }
+  };
+
+  // Audio-reactive routing; bands default to the DroneAudioReactive built-ins
+  const REACTIVE_SCHEMA = {
+    type: 'object',
+    properties: {
+      bands: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string' },
+            hz: RANGE(0), // Required unless the name is a built-in band
+            attack: { type: 'number', min: 0 },
+            release: { type: 'number', min: 0 }
+          }
+        }
+      },
+      map: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['band', 'target'],
+          properties: {
+            band: { type: 'string' },
+            target: { type: 'string', enum: AudioReactive.TARGETS },
+            gain: { type: 'number' },
+            curve: EASE
+          }
+        }
+      }
+    }
+  };
+
+  // Text drawn into the frame by DroneTitles; times are scene seconds
+  const TITLE_ANIMATION_SCHEMA = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { type: 'string', enum: Titles.ANIMATIONS },
+      duration: { type: 'number', min: 0 }
+    }
+  };
+
+  const TITLE_SCHEMA = {
+    type: 'object',
+    required: ['text', 'time'],
+    properties: {
+      text: { type: 'string' }, // "\n" breaks lines
+      time: { type: 'range', min: 0 },
+      position: { type: 'string', enum: Titles.POSITIONS },
+      anchor: { type: 'vec2', min: 0, max: 1 }, // Wins over position
+      align: { type: 'string', enum: Titles.ALIGNS },
+      font: { type: 'string' },
+      size: { type: 'number', min: 0 },
+      weight: { type: 'number', min: 100, max: 900 },
+      color: { type: 'string' },
+      in: TITLE_ANIMATION_SCHEMA,
+      out: TITLE_ANIMATION_SCHEMA
+    }
+  };
+
+  const SCENE_SCHEMA = {
+    type: 'object',
+    required: ['shots'],
+    properties: {
+      meta: {
+        type: 'object',
+        default: {},
+        properties: {
+          title: { type: 'string', default: 'Untitled' },
+          duration: { type: 'number', min: 0.1, default: sceneEnd },
+          bpm: { type: 'number', min: 1, max: 400, default: 90 },
+          seed: { type: 'number', integer: true, min: 0, default: 42 },
+          // Track timing; anything omitted keeps the DroneAudioTiming default
+          audio: {
+            type: 'object',
+            properties: {
+              offset: { type: 'number' },
+              trimIn: { type: 'number', min: 0 },
+              trimOut: { type: 'number', min: 0 },
+              fadeIn: { type: 'number', min: 0 },
+              fadeOut: { type: 'number', min: 0 },
+              fit: { type: 'boolean' }
+            }
+          }
+        }
+      },
+      beats: { type: 'array', items: { type: 'number', min: 0 }, default: beatsFromBpm },
+      shots: { type: 'array', minItems: 1, items: SHOT_SCHEMA },
+      city: CITY_SCHEMA,
+      reactive: REACTIVE_SCHEMA,
+      titles: { type: 'array', items: TITLE_SCHEMA }
+    }
+  };
+
+  function sceneEnd(root, source) {
+    const shots = Array.isArray(source.shots) ? source.shots : [];
+    const ends = shots.map(s => (s && Array.isArray(s.time) ? Number(s.time[1]) : 0)).filter(isFinite);
+    return ends.length ? Math.max.apply(null, ends) : 18;
+  }
+
+  function beatsFromBpm(root, source) {
+    const meta = root.meta || {};
+    const interval = 60 / (meta.bpm || 90);
+    const duration = meta.duration || sceneEnd(root, source);
+    const beats = [];
+    for (let t = 0; t < duration; t += interval) {
+      beats.push(Math.round(t * 100) / 100);
+    }
+    return beats;
+  }
+
+  // ============================================================================
+  // VALIDATION
+  // ============================================================================
+
+  function parseScene(text) {
+    let parsed;
+    try {
+      parsed = parseWithLines(text);
+    } catch (err) {
+      return {
+        ok: false,
+        data: null,
+        issues: [{ path: '', line: err.line || null, severity: 'error', message: 'JSON syntax error: ' + err.message }]
+      };
+    }
+    return validateScene(parsed.value, parsed.lines);
+  }
+
+  function validateScene(data, lines) {
+    const ctx = { issues: [], lines: lines || Object.create(null), root: null, source: data };
+
+    if (!isPlainObject(data)) {
+      report(ctx, '', 'error', 'scene must be a JSON object');
+      return { ok: false, data: null, issues: ctx.issues };
+    }
+
+    ctx.root = {};
+    const repaired = validateObject(SCENE_SCHEMA, data, '', ctx, ctx.root);
+
+    checkShotTiming(repaired, ctx);
+    checkShotPaths(repaired, ctx);
+    checkTransitions(repaired, ctx);
+    checkBeats(repaired, ctx);
+    checkCity(repaired, ctx);
+    checkReactive(repaired, ctx);
+    checkAudioTiming(repaired, ctx);
+    checkTitles(repaired, ctx);
+
+    const ok = !ctx.issues.some(issue => issue.severity === 'error');
+    return { ok, data: ok ? repaired : null, issues: ctx.issues };
+  }
+
+  function validateNode(schema, value, path, ctx) {
+    switch (schema.type) {
+      case 'object':
+        if (!isPlainObject(value)) {
+          return report(ctx, path, 'error', `expected an object, got ${describe(value)}`);
+        }
+        return validateObject(schema, value, path, ctx, {});
+
+      case 'array':
+        if (!Array.isArray(value)) {
+          return report(ctx, path, 'error', `expected an array, got ${describe(value)}`);
+        }
+        if (schema.minItems && value.length < schema.minItems) {
+          report(ctx, path, 'error', `needs at least ${schema.minItems} item(s), got ${value.length}`);
+        }
+        if (schema.maxItems && value.length > schema.maxItems) {
+          report(ctx, path, 'error', `allows at most ${schema.maxItems} item(s), got ${value.length}`);
+        }
+        return value.map((item, i) => validateNode(schema.items, item, `${path}[${i}]`, ctx));
+
+      case 'number':
+        return validateNumber(schema, value, path, ctx);
+
+      case 'string':
+        if (typeof value !== 'string') {
+          return report(ctx, path, 'error', `expected a string, got ${describe(value)}`);
+        }
+        if (schema.enum && schema.enum.indexOf(value) === -1) {
+          report(ctx, path, 'error', `unknown value "${value}" (expected one of: ${schema.enum.join(', ')})`);
+        }
+        return value;
+
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          return report(ctx, path, 'error', `expected true or false, got ${describe(value)}`);
+        }
+        return value;
+
+      case 'range':
+        return validateRange(schema, value, path, ctx);
+
+      case 'track':
+        return validateTrack(schema, value, path, ctx);
+
+      case 'vec2':
+        if (!Array.isArray(value) || value.length !== 2 || !value.every(isNumber)) {
+          return report(ctx, path, 'error', `expected an [x, y] point, got ${describe(value)}`);
+        }
+        checkBounds(schema, value[0], path, ctx);
+        checkBounds(schema, value[1], path, ctx);
+        return value;
+
+      case 'vec3':
+        if (!Array.isArray(value) || value.length !== 3 || !value.every(isNumber)) {
+          return report(ctx, path, 'error', `expected an [x, y, z] point, got ${describe(value)}`);
+        }
+        return value;
+
+      default:
+        return value;
+    }
+  }
+
+  function validateObject(schema, value, path, ctx, out) {
+    let properties = schema.properties || {};
+    let required = schema.required || [];
+    let knownShape = true;
+
+    if (schema.variants) {
+      const tag = schema.discriminator;
+      const kind = value[tag] !== undefined ? value[tag] : properties[tag].default;
+      const variant = schema.variants[kind];
+      if (variant) {
+        properties = Object.assign({}, properties, variant.properties);
+        required = required.concat(variant.required || []);
+      } else {
+        knownShape = false; // The discriminator itself reports the bad value
+      }
+    }
+
+    for (const key of Object.keys(properties)) {
+      const childPath = joinPath(path, key);
+      const childSchema = properties[key];
+
+      if (value[key] === undefined) {
+        if (childSchema.default !== undefined) {
+          const fallback = typeof childSchema.default === 'function'
+            ? childSchema.default(ctx.root, ctx.source)
+            : clone(childSchema.default);
+          report(ctx, childPath, 'warning', `missing, using default ${preview(fallback)}`, path);
+          // Fill nested defaults without repeating a warning for each one
+          out[key] = validateNode(childSchema, fallback, childPath, Object.assign({}, ctx, { issues: [] }));
+        } else if (required.indexOf(key) !== -1) {
+          report(ctx, childPath, 'error', 'missing required property', path);
+        }
+        continue;
+      }
+
+      out[key] = validateNode(childSchema, value[key], childPath, ctx);
+    }
+
+    for (const key of Object.keys(value)) {
+      if (!properties.hasOwnProperty(key)) {
+        if (knownShape) {
+          report(ctx, joinPath(path, key), 'warning', 'unknown property (ignored)');
+        }
+        setOwn(out, key, value[key]);
+      }
+    }
+
+    return out;
+  }
+
+  function validateNumber(schema, value, path, ctx) {
+    if (!isNumber(value)) {
+      return report(ctx, path, 'error', `expected a number, got ${describe(value)}`);
+    }
+    if (schema.integer && Math.round(value) !== value) {
+      report(ctx, path, 'warning', `expected an integer, rounding ${value} to ${Math.round(value)}`);
+      value = Math.round(value);
+    }
+    checkBounds(schema, value, path, ctx);
+    return value;
+  }
+
+  function validateRange(schema, value, path, ctx) {
+    if (isNumber(value)) {
+      report(ctx, path, 'warning', `expected a [start, end] pair, got ${value}; using [${value}, ${value}]`);
+      value = [value, value];
+    } else if (!Array.isArray(value) || value.length !== 2 || !value.every(isNumber)) {
+      return report(ctx, path, 'error', `expected a [start, end] pair of numbers, got ${describe(value)}`);
+    }
+    checkBounds(schema, value[0], path, ctx);
+    checkBounds(schema, value[1], path, ctx);
+    return value;
+  }
+
+  function validateTrack(schema, value, path, ctx) {
+    if (isNumber(value)) {
+      checkBounds(schema, value, path, ctx);
+      return value;
+    }
+    if (!Array.isArray(value) || value.length === 0) {
+      return report(ctx, path, 'error', `expected a number, [start, end, ease] or [[t, value, ease], ...], got ${describe(value)}`);
+    }
+    if (!Array.isArray(value[0])) {
+      return validateTrackSegment(schema, value, path, ctx);
+    }
+
+    let previous = -Infinity;
+    value.forEach((key, i) => {
+      const keyPath = `${path}[${i}]`;
+      if (!Array.isArray(key) || key.length < 2 || key.length > 3 || !isNumber(key[0]) || !isNumber(key[1])) {
+        report(ctx, keyPath, 'error', `expected a [t, value] or [t, value, ease] keyframe, got ${describe(key)}`);
+        return;
+      }
+      if (key[0] < 0 || key[0] > 1) {
+        report(ctx, keyPath, 'error', `keyframe time ${key[0]} is outside the shot (0-1)`);
+      } else if (key[0] < previous) {
+        report(ctx, keyPath, 'error', `keyframe time ${key[0]} comes before the previous keyframe (${previous})`);
+      }
+      previous = key[0];
+      checkBounds(schema, key[1], keyPath, ctx);
+      if (key.length === 3) validateNode(EASE, key[2], `${keyPath}[2]`, ctx);
+    });
+    return value;
+  }
+
+  function validateTrackSegment(schema, value, path, ctx) {
+    if (value.length < 2 || value.length > 3 || !isNumber(value[0]) || !isNumber(value[1])) {
+      return report(ctx, path, 'error', `expected a [start, end] or [start, end, ease] track, got ${describe(value)}`);
+    }
+    checkBounds(schema, value[0], path, ctx);
+    checkBounds(schema, value[1], path, ctx);
+    if (value.length === 3) validateNode(EASE, value[2], `${path}[2]`, ctx);
+    return value;
+  }
+
+  function checkBounds(schema, value, path, ctx) {
+    if (schema.min !== undefined && value < schema.min) {
+      report(ctx, path, 'error', `${value} is below the minimum of ${schema.min}`);
+    } else if (schema.max !== undefined && value > schema.max) {
+      report(ctx, path, 'error', `${value} is above the maximum of ${schema.max}`);
+    }
+  }
+
+  // ============================================================================
+  // CROSS-FIELD CHECKS
+  // ============================================================================
+
+  function checkShotTiming(scene, ctx) {
+    if (!Array.isArray(scene.shots)) return;
+
+    const timed = [];
+    scene.shots.forEach((shot, i) => {
+      if (!shot || !Array.isArray(shot.time)) return;
+      const path = `shots[${i}].time`;
+      if (shot.time[1] <= shot.time[0]) {
+        report(ctx, path, 'error', `end (${shot.time[1]}) must be after start (${shot.time[0]})`);
+        return;
+      }
+      timed.push({ shot, index: i });
+    });
+
+    timed.sort((a, b) => a.shot.time[0] - b.shot.time[0]);
+    for (let i = 1; i < timed.length; i++) {
+      const prev = timed[i - 1];
+      const curr = timed[i];
+      if (curr.shot.time[0] < prev.shot.time[1]) {
+        report(ctx, `shots[${curr.index}].time`, 'error',
+          `[${curr.shot.time.join(', ')}] overlaps shots[${prev.index}] "${prev.shot.name}" [${prev.shot.time.join(', ')}]`);
+      }
+    }
+
+    const duration = scene.meta && scene.meta.duration;
+    if (isNumber(duration)) {
+      timed.forEach(({ shot, index }) => {
+        if (shot.time[0] >= duration) {
+          report(ctx, `shots[${index}].time`, 'warning', `starts after meta.duration (${duration}s) and will never play`);
+        }
+      });
+    }
+  }
+
+  function checkShotPaths(scene, ctx) {
+    if (!Array.isArray(scene.shots)) return;
+
+    scene.shots.forEach((shot, i) => {
+      if (!shot) return;
+      checkBezierHandles(shot.path, `shots[${i}].path`, ctx);
+
+      const look = shot.lookAt;
+      if (!look) return;
+      if (look.target && look.path) {
+        report(ctx, `shots[${i}].lookAt`, 'error', 'use either "target" or "path", not both');
+      } else if (!look.target && !look.path) {
+        report(ctx, `shots[${i}].lookAt`, 'error', 'needs a "target" point or a "path"');
+      } else {
+        checkBezierHandles(look.path, `shots[${i}].lookAt.path`, ctx);
+      }
+    });
+  }
+
+  function checkBezierHandles(pathDef, path, ctx) {
+    if (!pathDef || pathDef.type !== 'bezier') return;
+    if (!Array.isArray(pathDef.points) || !Array.isArray(pathDef.handles)) return;
+
+    const expected = pathDef.points.length - 1;
+    if (pathDef.handles.length !== expected) {
+      report(ctx, `${path}.handles`, 'error', `needs ${expected} handle pair(s) (one per segment), got ${pathDef.handles.length}`);
+    }
+  }
+
+  function checkTransitions(scene, ctx) {
+    if (!Array.isArray(scene.shots)) return;
+
+    const shots = scene.shots.filter(shot => shot && Array.isArray(shot.time));
+    scene.shots.forEach((shot, i) => {
+      if (!shot || !shot.transition || !Array.isArray(shot.time)) return;
+      const t = shot.transition;
+      if (t.type === 'cut') return;
+
+      const path = `shots[${i}].transition`;
+      const cut = shot.time[0];
+      const previous = shots.find(other => other !== shot && Math.abs(other.time[1] - cut) < 1e-3);
+      if (!previous) {
+        report(ctx, path, 'warning', `no shot ends at ${cut}s to transition from; using a hard cut`);
+        return;
+      }
+
+      const longest = Math.min(previous.time[1] - previous.time[0], shot.time[1] - shot.time[0]);
+      if (isNumber(t.duration) && t.duration > longest) {
+        report(ctx, `${path}.duration`, 'warning', `${t.duration}s is longer than the shots it joins; clamping to ${longest}s`);
+      }
+      if (t.direction !== undefined && t.type !== 'whip') {
+        report(ctx, `${path}.direction`, 'warning', 'only used by "whip" transitions (ignored)');
+      }
+    });
+  }
+
+  function checkBeats(scene, ctx) {
+    const beats = scene.beats;
+    if (!Array.isArray(beats) || !beats.every(isNumber)) return;
+
+    for (let i = 1; i < beats.length; i++) {
+      if (beats[i] < beats[i - 1]) {
+        report(ctx, 'beats', 'warning', 'beats are not in ascending order; sorting');
+        beats.sort((a, b) => a - b);
+        break;
+      }
+    }
+
+    const duration = scene.meta && scene.meta.duration;
+    if (isNumber(duration) && beats.length && beats[beats.length - 1] > duration) {
+      report(ctx, 'beats', 'warning', `beats extend past meta.duration (${duration}s)`);
+    }
+  }
+
+  function checkCity(scene, ctx) {
+    const city = scene.city;
+    if (!isPlainObject(city)) return;
+
+    ['buildingsPerBlock', 'footprint', 'height'].forEach(key => {
+      const range = city[key];
+      if (Array.isArray(range) && range.every(isNumber) && range[1] < range[0]) {
+        report(ctx, `city.${key}`, 'error', `maximum (${range[1]}) must not be below minimum (${range[0]})`);
+      }
+    });
+
+    if (Array.isArray(city.buildingsPerBlock) && city.buildingsPerBlock.some(n => isNumber(n) && Math.round(n) !== n)) {
+      report(ctx, 'city.buildingsPerBlock', 'warning', 'building counts are whole numbers; rounding down');
+    }
+
+    const blockSize = isNumber(city.blockSize) ? city.blockSize : 8;
+    if (isNumber(city.streetWidth) && city.streetWidth >= blockSize) {
+      report(ctx, 'city.streetWidth', 'warning', `${city.streetWidth} is not narrower than blockSize (${blockSize}); buildings will sit on the block corners`);
+    }
+
+    if (Array.isArray(city.exclude)) {
+      city.exclude.forEach((zone, i) => {
+        if (!isPlainObject(zone)) return;
+        ['x', 'z'].forEach(axis => {
+          const range = zone[axis];
+          if (Array.isArray(range) && range.every(isNumber) && range[1] <= range[0]) {
+            report(ctx, `city.exclude[${i}].${axis}`, 'warning', 'empty zone (end must be after start); it excludes nothing');
+          }
+        });
+      });
+    }
+  }
+
+  function checkAudioTiming(scene, ctx) {
+    const audio = scene.meta && scene.meta.audio;
+    if (!isPlainObject(audio)) return;
+
+    if (isNumber(audio.trimIn) && isNumber(audio.trimOut) && audio.trimOut <= audio.trimIn) {
+      report(ctx, 'meta.audio.trimOut', 'error', `must be after trimIn (${audio.trimIn})`);
+    }
+
+    const duration = scene.meta.duration;
+    const fades = (audio.fadeIn || 0) + (audio.fadeOut || 0);
+    if (isNumber(duration) && isNumber(fades) && fades > duration) {
+      report(ctx, 'meta.audio', 'warning', `fadeIn + fadeOut (${fades}s) is longer than the scene (${duration}s)`);
+    }
+  }
+
+  function checkReactive(scene, ctx) {
+    const reactive = scene.reactive;
+    if (!isPlainObject(reactive)) return;
+
+    const declared = {};
+    (Array.isArray(reactive.bands) ? reactive.bands : []).forEach((band, i) => {
+      if (!isPlainObject(band) || typeof band.name !== 'string') return;
+      const path = `reactive.bands[${i}]`;
+
+      if (declared[band.name]) {
+        report(ctx, `${path}.name`, 'warning', `band "${band.name}" is declared twice; the first one is used`);
+      }
+      declared[band.name] = true;
+
+      const hz = band.hz;
+      if (hz === undefined && !AudioReactive.BANDS[band.name]) {
+        report(ctx, `${path}.hz`, 'error', `custom band "${band.name}" needs an [low, high] Hz range`);
+      } else if (Array.isArray(hz) && hz.every(isNumber) && hz[1] <= hz[0]) {
+        report(ctx, `${path}.hz`, 'error', `high (${hz[1]}) must be above low (${hz[0]})`);
+      }
+    });
+
+    (Array.isArray(reactive.map) ? reactive.map : []).forEach((route, i) => {
+      if (!isPlainObject(route) || typeof route.band !== 'string') return;
+      if (!declared[route.band] && !AudioReactive.BANDS[route.band]) {
+        const known = Object.keys(AudioReactive.BANDS).concat(Object.keys(declared));
+        report(ctx, `reactive.map[${i}].band`, 'error', `unknown band "${route.band}" (expected one of: ${known.join(', ')})`);
+      }
+    });
+  }
+
+  function checkTitles(scene, ctx) {
+    if (!Array.isArray(scene.titles)) return;
+    const duration = scene.meta && scene.meta.duration;
+
+    scene.titles.forEach((title, i) => {
+      if (!isPlainObject(title) || !Array.isArray(title.time) || !title.time.every(isNumber)) return;
+      const path = `titles[${i}]`;
+      const length = title.time[1] - title.time[0];
+
+      if (length <= 0) {
+        report(ctx, `${path}.time`, 'error', `end (${title.time[1]}s) must be after start (${title.time[0]}s)`);
+        return;
+      }
+      if (isNumber(duration) && title.time[0] >= duration) {
+        report(ctx, `${path}.time`, 'warning', `starts after the scene ends (${duration}s); never shown`);
+      }
+
+      const animations = (title.in ? title.in.duration || 0 : 0) + (title.out ? title.out.duration || 0 : 0);
+      if (isNumber(animations) && animations > length) {
+        report(ctx, path, 'warning', `in + out animations (${animations}s) are longer than the title (${length}s)`);
+      }
+    });
+  }
+
+  // ============================================================================
+  // LINE-TRACKING JSON PARSER
+  // ============================================================================
+  // Same grammar as JSON.parse, but records the line each value starts on
+  // (keyed by JSON path) and reports syntax errors with line/column.
+
+  function parseWithLines(text) {
+    const lines = Object.create(null); // Keys are JSON paths, "__proto__" included
+    let i = 0;
+    let line = 1;
+
+    function fail(message) {
+      const err = new SyntaxError(`${message} (line ${line}, column ${i - text.lastIndexOf('\n', i - 1)})`);
+      err.line = line;
+      throw err;
+    }
+
+    function skipWhitespace() {
+      while (i < text.length) {
+        const c = text[i];
+        if (c === '\n') {
+          line++;
+          i++;
+        } else if (c === ' ' || c === '\t' || c === '\r') {
+          i++;
+        } else {
+          break;
+        }
+      }
+    }
+
+    function parseValue(path) {
+      skipWhitespace();
+      lines[path] = line;
+
+      const c = text[i];
+      if (c === '{') return parseObject(path);
+      if (c === '[') return parseArray(path);
+      if (c === '"') return parseString();
+
+      const literal = /^(?:-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(text.slice(i, i + 64));
+      if (literal) {
+        i += literal[0].length;
+        return JSON.parse(literal[0]);
+      }
+
+      fail(c === undefined ? 'Unexpected end of input' : `Unexpected character '${c}'`);
+    }
+
+    function parseString() {
+      const start = i;
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\n') fail('Unterminated string');
+        i += text[i] === '\\' ? 2 : 1;
+      }
+      if (i >= text.length) fail('Unterminated string');
+      i++;
+      return JSON.parse(text.slice(start, i));
+    }
+
+    function parseObject(path) {
+      const obj = {};
+      i++;
+      skipWhitespace();
+      if (text[i] === '}') {
+        i++;
+        return obj;
+      }
+
+      for (;;) {
+        skipWhitespace();
+        if (text[i] !== '"') fail('Expected a property name');
+        const key = parseString();
+        skipWhitespace();
+        if (text[i] !== ':') fail(`Expected ':' after "${key}"`);
+        i++;
+        setOwn(obj, key, parseValue(joinPath(path, key)));
+        skipWhitespace();
+        if (text[i] === ',') {
+          i++;
+          continue;
+        }
+        if (text[i] === '}') {
+          i++;
+          return obj;
+        }
+        fail("Expected ',' or '}'");
+      }
+    }
+
+    function parseArray(path) {
+      const arr = [];
+      i++;
+      skipWhitespace();
+      if (text[i] === ']') {
+        i++;
+        return arr;
+      }
+
+      for (;;) {
+        arr.push(parseValue(`${path}[${arr.length}]`));
+        skipWhitespace();
+        if (text[i] === ',') {
+          i++;
+          continue;
+        }
+        if (text[i] === ']') {
+          i++;
+          return arr;
+        }
+        fail("Expected ',' or ']'");
+      }
+    }
+
+    const value = parseValue('');
+    skipWhitespace();
+    if (i < text.length) fail('Unexpected data after the scene object');
+
+    return { value, lines };
+  }
+
+  // ============================================================================
+  // UTILITIES
+  // ============================================================================
+
+  function report(ctx, path, severity, message, parentPath) {
+    const line = ctx.lines[path] || (parentPath !== undefined ? ctx.lines[parentPath] : null) || null;
+    ctx.issues.push({ path, line, severity, message });
+    return undefined;
+  }
+
+  function formatIssue(issue) {
+    const where = issue.line ? `line ${issue.line} · ` : '';
+    const path = issue.path ? `${issue.path}: ` : '';
+    return `${where}${path}${issue.message}`;
+  }
+
+  function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+  }
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+  }
+
+  function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return `an array of ${value.length}`;
+    if (typeof value === 'object') return 'an object';
+    return JSON.stringify(value);
+  }
+
+  function preview(value) {
+    const json = JSON.stringify(value);
+    return json.length > 40 ? json.slice(0, 37) + '...' : json;
+  }
+
+  function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  // Like JSON.parse: a "__proto__" key is a plain property, not the prototype
+  function setOwn(obj, key, value) {
+    Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+  }
+
+  const api = {
+    SCENE_SCHEMA,
+    parseScene,
+    validateScene,
+    formatIssue
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.DroneSchema = api;
+  }
+
+})();
@@ -0,0 +1,620 @@
+/**
+ * Drone Night POV - Timeline Evaluation
+ * Pure, DOM-free scene evaluation shared by the WebGL and 2D renderers.
+ * evaluateScene(sceneData, time) returns everything a renderer needs for
+ * one frame: active shot, camera pose and shake, fov, roll, fx values
+ * (audio-reactive offsets included) and the shot transition in progress
+ * (if any). The same time always gives the
+ * same frame.
+ * Loads as a plain <script> (window.DroneTimeline) or via require() in Node.
+ */
+
+(function() {
+  'use strict';
+
+  const Easing = (typeof module !== 'undefined' && module.exports)
+    ? require('./easing.js')
+    : window.DroneEasing;
+  const AudioReactive = (typeof module !== 'undefined' && module.exports)
+    ? require('./audioreactive.js')
+    : window.DroneAudioReactive;
+
+  const DEG2RAD = Math.PI / 180;
+
+  // Beat response windows (seconds)
+  const BEAT_ENERGY_WINDOW = 0.1;
+  const BEAT_ENERGY_FLOOR = 0.1;
+
+  // Shake layers (camera.shake); amplitudes are degrees of rotation
+  const SHAKE_DEFAULTS = {
+    handheld: { frequency: 0.8 },
+    fpv: { frequency: 24 },
+    impact: { amplitude: 2.75, decay: 0.05 } // The classic beat bump
+  };
+  const HANDHELD_DRIFT = 0.1;     // World units of drift per degree of handheld shake
+  const OSCILLATION_TO_DEGREES = 3; // Legacy camera.oscillation → handheld amplitude
+  const OSCILLATION_FREQUENCY = 1.5;
+
+  // Look-ahead along the path when no explicit target is given
+  const LOOK_AHEAD = 0.05;
+
+  const DEFAULT_FX = {
+    bloom: 0.3,
+    vignette: 0.4,
+    grain: 0.12,
+    grainPulse: 0.05
+  };
+
+  // Shot transitions (shot.transition blends into that shot, centered on its cut)
+  const TRANSITION_DEFAULT_DURATION = 0.5;
+  const WHIP_ANGLE = 70 * DEG2RAD;
+  const CUT_TOLERANCE = 1e-3;
+
+  // Compiled paths, keyed by their scene definition object
+  const pathCache = new WeakMap();
+  const DEFAULT_POINTS = [[0, 20, 50], [0, 20, 49]];
+
+  // ============================================================================
+  // SCENE EVALUATION
+  // ============================================================================
+
+  function evaluateScene(sceneData, time, options) {
+    const opts = options || {};
+    const found = findShot(sceneData, time);
+    if (!found) return null;
+
+    const state = evaluateShot(sceneData, found.shot, found.index, time, opts);
+    state.transition = evaluateTransition(sceneData, time, opts);
+    return state;
+  }
+
+  function evaluateShot(sceneData, shot, shotIndex, time, opts) {
+    const camera = shot.camera || {};
+    const fx = shot.fx || {};
+    const progress = shotProgress(shot, time);
+    const travel = pathProgress(shot, progress);
+
+    const path = compilePath(shot);
+    const position = path.getPoint(travel);
+    const lookAt = resolveLookAt(shot, path, travel, position);
+
+    const beat = nearestBeat(sceneData.beats, time);
+    const beatDist = beat === null ? Infinity : Math.abs(beat - time);
+    const seed = sceneData.meta && typeof sceneData.meta.seed === 'number' ? sceneData.meta.seed : 42;
+
+    // Real audio energy wins over the beat-timeline approximation
+    const energy = typeof opts.audioEnergy === 'number' ? opts.audioEnergy : beatEnergy(beatDist);
+
+    // Band levels come from the renderer's tracker, or follow the energy
+    const reactive = AudioReactive.resolveConfig(sceneData.reactive);
+    const bands = opts.bands || AudioReactive.fallbackLevels(reactive, energy);
+    const mod = AudioReactive.modulate(reactive, bands);
+
+    const bloomBase = sampleTrack(fx.bloom, progress, DEFAULT_FX.bloom);
+    const neonPulse = sampleTrack(fx.neonPulse, progress, 0);
+
+    return {
+      time,
+      shot,
+      shotIndex,
+      progress,
+      travel,
+      position,
+      lookAt,
+      fov: clamp(sampleTrack(camera.fov, progress, 60) + mod.fov, 1, 179),
+      roll: (sampleTrack(camera.rollDeg, progress, 0) + mod.roll) * DEG2RAD,
+      shake: evaluateShake(camera, progress, time, sceneData.beats, seed),
+      fx: {
+        bloom: Math.max(0, bloomBase + neonPulse * energy + mod.bloom),
+        bloomBase,
+        neonPulse,
+        vignette: Math.max(0, sampleTrack(fx.vignette, progress, DEFAULT_FX.vignette) + mod.vignette),
+        grain: Math.max(0, DEFAULT_FX.grain + energy * DEFAULT_FX.grainPulse + mod.grain),
+        windows: Math.max(0, 1 + mod.windows),
+        exposure: Math.max(0, 1 + mod.exposure),
+        energy,
+        bands,
+        fade: fadeAt(fx.fade, time)
+      }
+    };
+  }
+
+  function findShot(sceneData, time) {
+    if (!sceneData || !Array.isArray(sceneData.shots) || sceneData.shots.length === 0) {
+      return null;
+    }
+
+    const shots = sceneData.shots;
+    for (let i = 0; i < shots.length; i++) {
+      const s = shots[i];
+      if (time >= s.time[0] && time < s.time[1]) {
+        return { shot: s, index: i };
+      }
+    }
+
+    // Past the end (or in a gap): hold the last shot
+    return { shot: shots[shots.length - 1], index: shots.length - 1 };
+  }
+
+  function shotProgress(shot, time) {
+    const duration = shot.time[1] - shot.time[0];
+    if (duration <= 0) return 1;
+    return clamp((time - shot.time[0]) / duration, 0, 1);
+  }
+
+  // Where along its path the camera is: camera.ease shapes the move, then
+  // camera.speedMul (exit speed / entry speed) adds constant acceleration
+  function pathProgress(shot, progress) {
+    const camera = shot.camera || {};
+    const eased = camera.ease ? Easing.apply(camera.ease, progress) : progress;
+    const k = typeof camera.speedMul === 'number' ? Math.max(0, camera.speedMul) : 1;
+    if (k === 1) return eased;
+    return (eased + (k - 1) * eased * eased / 2) / (1 + (k - 1) / 2);
+  }
+
+  // ============================================================================
+  // TRANSITIONS
+  // ============================================================================
+  // Returns null outside a transition window. Inside it:
+  //   progress  0-1 across the window (the cut sits at 0.5)
+  //   mix       crossfade weight of the incoming shot (from/to hold both poses)
+  //   flash     white-out amount, peaking on the beat nearest the cut
+  //   dip       black-out amount, full at the cut
+  //   yaw, blur whip-pan swing of the on-screen camera (radians, positive
+  //             pans right) and horizontal motion blur (0-1)
+
+  function evaluateTransition(sceneData, time, opts) {
+    const span = findTransition(sceneData, time);
+    if (!span) return null;
+
+    const t = span.transition;
+    const progress = clamp((time - span.start) / (span.end - span.start), 0, 1);
+    const swing = t.direction === 'left' ? -1 : 1;
+    const out = {
+      type: t.type,
+      progress,
+      cut: span.cut,
+      duration: span.end - span.start,
+      mix: 0,
+      flash: 0,
+      dip: 0,
+      yaw: 0,
+      blur: 0,
+      from: null,
+      to: null
+    };
+
+    switch (t.type) {
+      case 'crossfade':
+        out.mix = progress * progress * (3 - 2 * progress);
+        out.from = evaluateShot(sceneData, span.from, span.fromIndex, time, opts);
+        out.to = evaluateShot(sceneData, span.to, span.toIndex, time, opts);
+        break;
+
+      case 'whip': {
+        // Outgoing shot swings away, incoming shot swings in from the other side
+        const half = progress < 0.5 ? progress * 2 : progress * 2 - 1;
+        out.yaw = progress < 0.5
+          ? swing * WHIP_ANGLE * half * half * half
+          : -swing * WHIP_ANGLE * Math.pow(1 - half, 3);
+        out.blur = Math.pow(Math.sin(Math.PI * progress), 2);
+        break;
+      }
+
+      case 'flash': {
+        const beat = nearestBeat(sceneData.beats, span.cut);
+        const peakTime = beat !== null && beat > span.start && beat < span.end ? beat : span.cut;
+        const peak = clamp((peakTime - span.start) / out.duration, 0.05, 0.95);
+        const rise = progress < peak ? progress / peak : 1 - (progress - peak) / (1 - peak);
+        out.flash = rise * rise;
+        break;
+      }
+
+      case 'dip':
+        out.dip = 1 - Math.abs(2 * progress - 1);
+        break;
+    }
+
+    return out;
+  }
+
+  // The transition window covering `time`, clamped so it never runs past
+  // either of the two shots it joins
+  function findTransition(sceneData, time) {
+    if (!sceneData || !Array.isArray(sceneData.shots)) return null;
+
+    const shots = sceneData.shots;
+    for (let i = 0; i < shots.length; i++) {
+      const to = shots[i];
+      const t = to.transition;
+      if (!t || !t.type || t.type === 'cut') continue;
+
+      const cut = to.time[0];
+      const fromIndex = previousShotIndex(shots, cut);
+      if (fromIndex < 0 || fromIndex === i) continue;
+
+      const from = shots[fromIndex];
+      const duration = typeof t.duration === 'number' ? t.duration : TRANSITION_DEFAULT_DURATION;
+      const half = Math.min(duration, from.time[1] - from.time[0], to.time[1] - to.time[0]) / 2;
+      if (half <= 0 || time < cut - half || time >= cut + half) continue;
+
+      return { transition: t, cut, start: cut - half, end: cut + half, from, fromIndex, to, toIndex: i };
+    }
+    return null;
+  }
+
+  function previousShotIndex(shots, cut) {
+    for (let i = 0; i < shots.length; i++) {
+      if (Math.abs(shots[i].time[1] - cut) < CUT_TOLERANCE) return i;
+    }
+    return -1;
+  }
+
+  // ============================================================================
+  // SHAKE
+  // ============================================================================
+  // Stackable layers, each a pure function of (seed, time):
+  //   handheld  slow two-octave drift in rotation and position
+  //   fpv       high-frequency rotational vibration
+  //   impact    kick on every beat (pitch down + seeded roll), decaying
+  // Missing layers fall back to the legacy behaviour: handheld to
+  // camera.oscillation, impact to the classic beat bump. Amplitude 0 disables.
+  // Returns { offset: [x, y, z] (world units), pitch, yaw, roll (radians) }.
+
+  function evaluateShake(camera, progress, time, beats, seed) {
+    const config = camera.shake || {};
+    const shake = { offset: [0, 0, 0], pitch: 0, yaw: 0, roll: 0 };
+
+    let handheld = config.handheld;
+    if (!handheld && camera.oscillation) {
+      const amplitude = sampleTrack(camera.oscillation, progress, 0) * OSCILLATION_TO_DEGREES;
+      handheld = { amplitude, frequency: OSCILLATION_FREQUENCY };
+    }
+
+    if (handheld) {
+      const amplitude = sampleTrack(handheld.amplitude, progress, 0);
+      const frequency = handheld.frequency || SHAKE_DEFAULTS.handheld.frequency;
+      if (amplitude > 0) {
+        const x = time * frequency;
+        shake.pitch += fractalNoise(seed, 0, x) * amplitude * DEG2RAD;
+        shake.yaw += fractalNoise(seed, 1, x) * amplitude * DEG2RAD;
+        shake.roll += fractalNoise(seed, 2, x) * amplitude * 0.5 * DEG2RAD;
+        for (let axis = 0; axis < 3; axis++) {
+          shake.offset[axis] += fractalNoise(seed, 3 + axis, x) * amplitude * HANDHELD_DRIFT;
+        }
+      }
+    }
+
+    const fpv = config.fpv;
+    if (fpv) {
+      const amplitude = sampleTrack(fpv.amplitude, progress, 0);
+      const frequency = fpv.frequency || SHAKE_DEFAULTS.fpv.frequency;
+      if (amplitude > 0) {
+        const x = time * frequency;
+        shake.pitch += valueNoise(seed, 10, x) * amplitude * DEG2RAD;
+        shake.yaw += valueNoise(seed, 11, x) * amplitude * 0.6 * DEG2RAD;
+        shake.roll += valueNoise(seed, 12, x) * amplitude * 0.8 * DEG2RAD;
+      }
+    }
+
+    const impact = config.impact || SHAKE_DEFAULTS.impact;
+    const amplitude = sampleTrack(impact.amplitude, progress, 0);
+    const index = amplitude > 0 ? lastBeatIndex(beats, time) : -1;
+    if (index >= 0) {
+      const decay = impact.decay || SHAKE_DEFAULTS.impact.decay;
+      const envelope = Math.exp(-(time - beats[index]) / decay) * amplitude * DEG2RAD;
+      shake.pitch -= envelope * 0.5;
+      shake.roll += envelope * (hash(seed, 20, index) < 0 ? -1 : 1);
+    }
+
+    return shake;
+  }
+
+  // Seeded lattice hash in [-1, 1]
+  function hash(seed, channel, i) {
+    let h = Math.imul(seed | 0, 0x27d4eb2d) ^ Math.imul(channel + 1, 0x165667b1) ^ Math.imul(i | 0, 0x9e3779b1);
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    h ^= h >>> 16;
+    return (h >>> 0) / 2147483647.5 - 1;
+  }
+
+  // Smooth 1D value noise in [-1, 1]
+  function valueNoise(seed, channel, x) {
+    const i = Math.floor(x);
+    const f = x - i;
+    const s = f * f * (3 - 2 * f);
+    return lerp(hash(seed, channel, i), hash(seed, channel, i + 1), s);
+  }
+
+  function fractalNoise(seed, channel, x) {
+    return (valueNoise(seed, channel, x) + 0.5 * valueNoise(seed, channel + 100, x * 2.1)) / 1.5;
+  }
+
+  // ============================================================================
+  // PARAMETER TRACKS
+  // ============================================================================
+  // A track is a constant (60), a [start, end] pair, a [start, end, ease]
+  // triple, or keyframes [[t, value, ease], ...] with t in shot progress
+  // (0-1). A keyframe's ease shapes the segment towards the next keyframe.
+
+  function sampleTrack(track, t, fallback) {
+    if (typeof track === 'number') return track;
+    if (!Array.isArray(track) || track.length === 0) return fallback;
+
+    if (!Array.isArray(track[0])) {
+      if (track.length < 2) return typeof track[0] === 'number' ? track[0] : fallback;
+      const eased = track[2] ? Easing.apply(track[2], t) : t;
+      return lerp(track[0], track[1], eased);
+    }
+
+    const first = track[0];
+    const last = track[track.length - 1];
+    if (t <= first[0]) return first[1];
+    if (t >= last[0]) return last[1];
+
+    for (let i = 0; i < track.length - 1; i++) {
+      const a = track[i];
+      const b = track[i + 1];
+      if (t < b[0]) {
+        const span = b[0] - a[0];
+        const local = span > 0 ? (t - a[0]) / span : 1;
+        return lerp(a[1], b[1], a[2] ? Easing.apply(a[2], local) : local);
+      }
+    }
+    return last[1];
+  }
+
+  // ============================================================================
+  // BEATS & FX
+  // ============================================================================
+
+  function nearestBeat(beats, time) {
+    if (!Array.isArray(beats) || beats.length === 0) return null;
+
+    let best = beats[0];
+    for (let i = 1; i < beats.length; i++) {
+      if (Math.abs(beats[i] - time) < Math.abs(best - time)) {
+        best = beats[i];
+      }
+    }
+    return best;
+  }
+
+  function beatEnergy(beatDist) {
+    if (beatDist < BEAT_ENERGY_WINDOW) {
+      return Math.pow(1 - beatDist / BEAT_ENERGY_WINDOW, 2);
+    }
+    return BEAT_ENERGY_FLOOR;
+  }
+
+  function lastBeatIndex(beats, time) {
+    if (!Array.isArray(beats)) return -1;
+
+    let found = -1;
+    for (let i = 0; i < beats.length && beats[i] <= time; i++) {
+      found = i;
+    }
+    return found;
+  }
+
+  function fadeAt(fade, time) {
+    if (!Array.isArray(fade) || time < fade[0]) return 1;
+    const span = fade[1] - fade[0];
+    if (span <= 0) return 0;
+    return 1 - Math.min(1, (time - fade[0]) / span);
+  }
+
+  // ============================================================================
+  // PATHS
+  // ============================================================================
+
+  function compilePath(shot) {
+    return compiled(shot.path);
+  }
+
+  function compiled(def) {
+    if (!def) return createCatmullRom(DEFAULT_POINTS);
+
+    let path = pathCache.get(def);
+    if (!path) {
+      path = buildPath(def);
+      pathCache.set(def, path);
+    }
+    return path;
+  }
+
+  function buildPath(def) {
+    const points = Array.isArray(def.points) && def.points.length ? def.points : DEFAULT_POINTS;
+
+    switch (def.type) {
+      case 'linear':
+        return createLinear(points);
+      case 'bezier':
+        return createBezier(points, def.handles || []);
+      case 'orbit':
+        return createOrbit(def);
+      default:
+        return createCatmullRom(points);
+    }
+  }
+
+  function invalidate(shot) {
+    if (!shot) return;
+    if (shot.path) pathCache.delete(shot.path);
+    if (shot.lookAt && shot.lookAt.path) pathCache.delete(shot.lookAt.path);
+  }
+
+  // Explicit target > second path > orbit center > look ahead on own path
+  function resolveLookAt(shot, path, progress, position) {
+    const look = shot.lookAt;
+    if (look && Array.isArray(look.target)) return look.target.slice(0, 3);
+    if (look && look.path) return compiled(look.path).getPoint(progress);
+
+    if (shot.path && shot.path.type === 'orbit' && Array.isArray(shot.path.center)) {
+      return shot.path.center.slice(0, 3);
+    }
+
+    const ahead = path.getPoint(Math.min(1, progress + LOOK_AHEAD));
+    if (distanceSquared(ahead, position) > 1e-8) return ahead;
+
+    // At the very end of a path: keep the last heading
+    const behind = path.getPoint(Math.max(0, progress - LOOK_AHEAD));
+    return extrapolate(position, behind);
+  }
+
+  function createLinear(points) {
+    function getPoint(t) {
+      if (points.length === 1) return points[0].slice(0, 3);
+
+      const segmentT = t * (points.length - 1);
+      const index = Math.min(Math.floor(segmentT), points.length - 2);
+      const frac = segmentT - index;
+      const a = points[index];
+      const b = points[index + 1];
+      return [lerp(a[0], b[0], frac), lerp(a[1], b[1], frac), lerp(a[2], b[2], frac)];
+    }
+
+    return { type: 'linear', getPoint };
+  }
+
+  // handles[i] = [outHandleOf(points[i]), inHandleOf(points[i + 1])]
+  function createBezier(points, handles) {
+    function getPoint(t) {
+      if (points.length === 1) return points[0].slice(0, 3);
+
+      const segmentT = t * (points.length - 1);
+      const index = Math.min(Math.floor(segmentT), points.length - 2);
+      const u = segmentT - index;
+      const p0 = points[index];
+      const p3 = points[index + 1];
+      const pair = handles[index] || [p0, p3];
+      const p1 = pair[0];
+      const p2 = pair[1];
+
+      const v = 1 - u;
+      const b0 = v * v * v;
+      const b1 = 3 * v * v * u;
+      const b2 = 3 * v * u * u;
+      const b3 = u * u * u;
+
+      return [0, 1, 2].map(axis => b0 * p0[axis] + b1 * p1[axis] + b2 * p2[axis] + b3 * p3[axis]);
+    }
+
+    return { type: 'bezier', getPoint };
+  }
+
+  // Circle around `center` in the XZ plane; 0° points along +X
+  function createOrbit(def) {
+    const center = Array.isArray(def.center) ? def.center : [0, 0, 0];
+
+    function getPoint(t) {
+      const angle = sampleTrack(def.angleDeg, t, 0) * DEG2RAD;
+      const radius = sampleTrack(def.radius, t, 10);
+      const height = sampleTrack(def.height, t, 0);
+      return [
+        center[0] + Math.cos(angle) * radius,
+        center[1] + height,
+        center[2] + Math.sin(angle) * radius
+      ];
+    }
+
+    return { type: 'orbit', getPoint };
+  }
+
+  // Centripetal Catmull-Rom, matching THREE.CatmullRomCurve3#getPoint so the
+  // WebGL and 2D renderers fly exactly the same path
+  function createCatmullRom(points) {
+    const l = points.length;
+
+    function getPoint(t) {
+      if (l === 1) return points[0].slice(0, 3);
+
+      const p = (l - 1) * t;
+      let intPoint = Math.floor(p);
+      let weight = p - intPoint;
+
+      if (weight === 0 && intPoint === l - 1) {
+        intPoint = l - 2;
+        weight = 1;
+      }
+
+      const p1 = points[intPoint];
+      const p2 = points[intPoint + 1];
+      const p0 = intPoint > 0 ? points[intPoint - 1] : extrapolate(points[0], points[1]);
+      const p3 = intPoint + 2 < l ? points[intPoint + 2] : extrapolate(points[l - 1], points[l - 2]);
+
+      let dt0 = Math.pow(distanceSquared(p0, p1), 0.25);
+      let dt1 = Math.pow(distanceSquared(p1, p2), 0.25);
+      let dt2 = Math.pow(distanceSquared(p2, p3), 0.25);
+
+      if (dt1 < 1e-4) dt1 = 1.0;
+      if (dt0 < 1e-4) dt0 = dt1;
+      if (dt2 < 1e-4) dt2 = dt1;
+
+      const out = [0, 0, 0];
+      for (let axis = 0; axis < 3; axis++) {
+        out[axis] = nonuniformCatmullRom(p0[axis], p1[axis], p2[axis], p3[axis], dt0, dt1, dt2, weight);
+      }
+      return out;
+    }
+
+    return { type: 'catmullrom', getPoint };
+  }
+
+  function nonuniformCatmullRom(x0, x1, x2, x3, dt0, dt1, dt2, t) {
+    let t1 = (x1 - x0) / dt0 - (x2 - x0) / (dt0 + dt1) + (x2 - x1) / dt1;
+    let t2 = (x2 - x1) / dt1 - (x3 - x1) / (dt1 + dt2) + (x3 - x2) / dt2;
+    t1 *= dt1;
+    t2 *= dt1;
+
+    const c2 = -3 * x1 + 3 * x2 - 2 * t1 - t2;
+    const c3 = 2 * x1 - 2 * x2 + t1 + t2;
+    return x1 + t1 * t + c2 * t * t + c3 * t * t * t;
+  }
+
+  function extrapolate(edge, inner) {
+    return [2 * edge[0] - inner[0], 2 * edge[1] - inner[1], 2 * edge[2] - inner[2]];
+  }
+
+  function distanceSquared(a, b) {
+    const dx = a[0] - b[0];
+    const dy = a[1] - b[1];
+    const dz = a[2] - b[2];
+    return dx * dx + dy * dy + dz * dz;
+  }
+
+  // ============================================================================
+  // UTILITIES
+  // ============================================================================
+
+  function lerp(a, b, t) {
+    return a + (b - a) * t;
+  }
+
+  function clamp(v, min, max) {
+    return Math.max(min, Math.min(max, v));
+  }
+
+  const api = {
+    evaluateScene,
+    findShot,
+    findTransition,
+    shotProgress,
+    pathProgress,
+    sampleTrack,
+    nearestBeat,
+    evaluateShake,
+    compilePath,
+    invalidate,
+    lerp,
+    clamp
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.DroneTimeline = api;
+  }
+
+})();
@@ -0,0 +1,209 @@
+/**
+ * Drone Night POV - Titles
+ * Timed text from the scene's `titles` section (title cards, captions,
+ * lower-thirds) with fade, typewriter and glitch in/out animations. Drawn
+ * with any CanvasRenderingContext2D, so the same pixels end up in the 2D
+ * fallback and in the WebGL title pass, and therefore in recordings,
+ * screenshots and exports. Glitches are a pure function of time (same time
+ * → same frame). DOM-free (window.DroneTitles or require() in Node).
+ */
+
+(function() {
+  'use strict';
+
+  const Formats = (typeof module !== 'undefined' && module.exports)
+    ? require('./formats.js')
+    : window.DroneFormats;
+
+  const ANIMATIONS = ['none', 'fade', 'typewriter', 'glitch'];
+
+  // Preset anchors inside the title-safe area: `x`/`y` are fractions of it,
+  // `valign` is the part of the text block that sits on `y`
+  const POSITIONS = {
+    center: { x: 0.5, y: 0.5, align: 'center', valign: 'middle' },
+    top: { x: 0.5, y: 0, align: 'center', valign: 'top' },
+    bottom: { x: 0.5, y: 1, align: 'center', valign: 'bottom' },
+    'lower-third': { x: 0, y: 0.8, align: 'left', valign: 'middle' }
+  };
+
+  // `anchor` ([x, y], 0-1 of the whole frame) overrides `position` and
+  // centers the block vertically on y; `align` overrides the preset's
+  const DEFAULTS = {
+    position: 'center',
+    font: "'Space Grotesk', 'Segoe UI', 'Roboto', sans-serif",
+    size: 0.06,      // Fraction of the frame's short side
+    weight: 600,
+    color: '#ffffff',
+    in: { type: 'fade', duration: 0.5 },
+    out: { type: 'fade', duration: 0.5 }
+  };
+
+  const LINE_HEIGHT = 1.2; // × font size
+  const GLITCH_RATE = 24;  // Glitch steps per second
+  const GLITCH_CHARS = '#%&@$/\\<>=+*01';
+
+  // ============================================================================
+  // EVALUATION
+  // ============================================================================
+
+  function resolveTitle(def) {
+    const title = Object.assign({}, DEFAULTS, def);
+    title.in = Object.assign({}, DEFAULTS.in, def.in);
+    title.out = Object.assign({}, DEFAULTS.out, def.out);
+    return title;
+  }
+
+  function isActive(def, time) {
+    return !!def && Array.isArray(def.time) && time >= def.time[0] && time < def.time[1];
+  }
+
+  function anyActive(titles, time) {
+    return Array.isArray(titles) && titles.some(def => isActive(def, time));
+  }
+
+  // What a title shows at `time`, or null outside its range:
+  // { text, alpha, shift, ghost } (shift/ghost in ems, from glitches)
+  function frameAt(def, time, salt) {
+    if (!isActive(def, time) || typeof def.text !== 'string') return null;
+
+    const title = resolveTitle(def);
+    const start = title.time[0];
+    const end = title.time[1];
+    const inDuration = Math.min(Math.max(0, title.in.duration || 0), end - start);
+    const outDuration = Math.min(Math.max(0, title.out.duration || 0), end - start - inDuration);
+
+    const frame = { text: title.text, alpha: 1, shift: 0, ghost: 0 };
+    const step = Math.floor(time * GLITCH_RATE);
+    applyAnimation(frame, title.in.type, inDuration > 0 ? (time - start) / inDuration : 1, step, salt || 0);
+    applyAnimation(frame, title.out.type, outDuration > 0 ? (end - time) / outDuration : 1, step, (salt || 0) + 7919);
+    return frame;
+  }
+
+  // `shown` runs 0 → 1 as the title appears (and 1 → 0 as it leaves)
+  function applyAnimation(frame, type, shown, step, salt) {
+    const p = Math.min(1, Math.max(0, shown));
+    if (p >= 1) return;
+
+    switch (type) {
+      case 'fade':
+        frame.alpha *= p;
+        break;
+
+      case 'typewriter':
+        frame.text = frame.text.slice(0, Math.floor(p * frame.text.length));
+        break;
+
+      case 'glitch': {
+        const amount = 1 - p;
+        frame.text = frame.text.split('').map((char, i) => {
+          if (char === ' ' || char === '\n' || noise(salt + i, step) >= amount * 0.6) return char;
+          return GLITCH_CHARS[Math.floor(noise(salt - i - 1, step) * GLITCH_CHARS.length)];
+        }).join('');
+        frame.shift += (noise(salt, step + 101) - 0.5) * amount * 0.4;
+        frame.ghost += amount * 0.12;
+        if (noise(salt + 31, step) < amount * 0.5) frame.alpha *= 0.3;
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  // ============================================================================
+  // DRAWING
+  // ============================================================================
+
+  // Draws every title visible at `time` into a width × height frame (the
+  // caller clears it). Returns how many were drawn.
+  function draw(ctx, width, height, titles, time) {
+    if (!Array.isArray(titles)) return 0;
+
+    const short = Math.min(width, height);
+    const margin = (1 - Formats.SAFE_AREAS.title) / 2;
+    let drawn = 0;
+
+    titles.forEach((def, index) => {
+      const frame = frameAt(def, time, index * 1013);
+      if (!frame || frame.alpha <= 0) return;
+
+      const title = resolveTitle(def);
+      const anchored = Array.isArray(title.anchor);
+      const place = (!anchored && POSITIONS[title.position]) || POSITIONS.center;
+      const align = title.align || place.align;
+      const px = Math.max(1, title.size * short);
+      const lineHeight = px * LINE_HEIGHT;
+      const fullLines = title.text.split('\n');
+      const lines = frame.text.split('\n');
+      const blockHeight = fullLines.length * lineHeight;
+
+      const x = (anchored ? title.anchor[0] : margin + place.x * (1 - 2 * margin)) * width + frame.shift * px;
+      const anchorY = (anchored ? title.anchor[1] : margin + place.y * (1 - 2 * margin)) * height;
+      const top = place.valign === 'middle' ? anchorY - blockHeight / 2
+        : place.valign === 'bottom' ? anchorY - blockHeight
+          : anchorY;
+
+      ctx.save();
+      ctx.font = `${title.weight} ${px}px ${title.font}`;
+      ctx.textAlign = align;
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = title.color;
+      ctx.strokeStyle = title.color;
+      ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+      ctx.shadowBlur = px * 0.2;
+
+      // Lower-thirds get a rule over the (final) text width
+      if (title.position === 'lower-third') {
+        const ruleWidth = Math.max.apply(null, fullLines.map(line => ctx.measureText(line).width));
+        const ruleStart = align === 'right' ? x - ruleWidth : align === 'center' ? x - ruleWidth / 2 : x;
+        ctx.globalAlpha = frame.alpha * 0.8;
+        ctx.lineWidth = Math.max(1, px * 0.06);
+        ctx.beginPath();
+        ctx.moveTo(ruleStart, top - px * 0.3);
+        ctx.lineTo(ruleStart + ruleWidth, top - px * 0.3);
+        ctx.stroke();
+      }
+
+      lines.forEach((line, i) => {
+        const y = top + i * lineHeight;
+        if (frame.ghost > 0) {
+          ctx.globalAlpha = frame.alpha * 0.4;
+          ctx.fillText(line, x + frame.ghost * px, y);
+        }
+        ctx.globalAlpha = frame.alpha;
+        ctx.fillText(line, x, y);
+      });
+
+      ctx.restore();
+      drawn++;
+    });
+
+    return drawn;
+  }
+
+  // Deterministic 0-1 hash of two integers
+  function noise(a, b) {
+    let h = Math.imul(a ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(b + 0x632be5ab, 0xc2b2ae35);
+    h ^= h >>> 15;
+    h = Math.imul(h, 0x2c1b3c6d);
+    h ^= h >>> 12;
+    return (h >>> 0) / 4294967296;
+  }
+
+  const api = {
+    ANIMATIONS,
+    POSITIONS: Object.keys(POSITIONS),
+    ALIGNS: ['left', 'center', 'right'],
+    DEFAULTS,
+    anyActive,
+    frameAt,
+    draw
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.DroneTitles = api;
+  }
+
+})();
@@ -0,0 +1,188 @@
+/**
+ * Drone Night POV - Waveform & Spectrogram
+ * Resolution-independent summaries of a decoded track for the audio lane:
+ * min/max peaks per slice and a log-frequency spectrogram. Computed once
+ * per track and redrawn at any width. DOM-free (window.DroneWaveform or
+ * require() in Node).
+ */
+
+(function() {
+  'use strict';
+
+  const PEAKS_PER_SECOND = 100;
+
+  const SPECTROGRAM_DEFAULTS = {
+    fftSize: 1024,
+    columnsPerSecond: 40,
+    maxColumns: 6000, // Long tracks get coarser columns instead
+    bins: 48,         // Log-spaced rows, low to high
+    minHz: 40,
+    floorDb: -70      // Quieter than this (relative to the loudest cell) is black
+  };
+
+  // ============================================================================
+  // WAVEFORM
+  // ============================================================================
+
+  // Average of all channels (Float32Array per channel)
+  function mixDown(channels) {
+    if (channels.length === 1) return channels[0];
+
+    const length = channels[0].length;
+    const mono = new Float32Array(length);
+    channels.forEach(channel => {
+      for (let i = 0; i < length; i++) mono[i] += channel[i];
+    });
+    for (let i = 0; i < length; i++) mono[i] /= channels.length;
+    return mono;
+  }
+
+  // { rate, min, max }: one min/max pair per 1/rate seconds
+  function waveformPeaks(samples, sampleRate, perSecond) {
+    const rate = perSecond || PEAKS_PER_SECOND;
+    const size = Math.max(1, Math.round(sampleRate / rate));
+    const count = Math.ceil(samples.length / size);
+    const min = new Float32Array(count);
+    const max = new Float32Array(count);
+
+    for (let c = 0; c < count; c++) {
+      let lo = 0;
+      let hi = 0;
+      const end = Math.min(samples.length, (c + 1) * size);
+      for (let i = c * size; i < end; i++) {
+        if (samples[i] < lo) lo = samples[i];
+        if (samples[i] > hi) hi = samples[i];
+      }
+      min[c] = lo;
+      max[c] = hi;
+    }
+
+    return { rate: sampleRate / size, min, max };
+  }
+
+  // Widest peak pair over [start, end) seconds, for one pixel column
+  function peakRange(peaks, start, end) {
+    const first = Math.max(0, Math.floor(start * peaks.rate));
+    const last = Math.min(peaks.min.length, Math.max(first + 1, Math.ceil(end * peaks.rate)));
+    let lo = 0;
+    let hi = 0;
+    for (let i = first; i < last; i++) {
+      if (peaks.min[i] < lo) lo = peaks.min[i];
+      if (peaks.max[i] > hi) hi = peaks.max[i];
+    }
+    return [lo, hi];
+  }
+
+  // ============================================================================
+  // SPECTROGRAM
+  // ============================================================================
+
+  // { rate, columns, bins, minHz, maxHz, data }: data[column * bins + bin]
+  // is 0-1 (dB above floorDb); bins are log-spaced from minHz to Nyquist,
+  // at least one FFT bin wide
+  function spectrogram(samples, sampleRate, options) {
+    const opts = Object.assign({}, SPECTROGRAM_DEFAULTS, options);
+    const n = opts.fftSize;
+    const duration = samples.length / sampleRate;
+    const columns = Math.max(1, Math.min(opts.maxColumns, Math.ceil(duration * opts.columnsPerSecond)));
+    const hop = samples.length / columns;
+    const maxHz = sampleRate / 2;
+    const edges = logEdges(opts.minHz, maxHz, opts.bins, sampleRate / n);
+
+    const hann = new Float32Array(n);
+    for (let i = 0; i < n; i++) hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1));
+
+    const re = new Float32Array(n);
+    const im = new Float32Array(n);
+    const data = new Float32Array(columns * opts.bins);
+    let loudest = -Infinity;
+
+    for (let c = 0; c < columns; c++) {
+      const start = Math.floor(c * hop + hop / 2 - n / 2);
+      for (let i = 0; i < n; i++) {
+        const s = start + i;
+        re[i] = s >= 0 && s < samples.length ? samples[s] * hann[i] : 0;
+        im[i] = 0;
+      }
+      fft(re, im);
+
+      for (let b = 0; b < opts.bins; b++) {
+        let power = 0;
+        for (let k = edges[b]; k < edges[b + 1]; k++) power += re[k] * re[k] + im[k] * im[k];
+        const db = 10 * Math.log10(1e-12 + power / (edges[b + 1] - edges[b]));
+        data[c * opts.bins + b] = db;
+        if (db > loudest) loudest = db;
+      }
+    }
+
+    for (let i = 0; i < data.length; i++) {
+      data[i] = Math.min(1, Math.max(0, 1 - (loudest - data[i]) / -opts.floorDb));
+    }
+
+    return { rate: columns / duration, columns, bins: opts.bins, minHz: opts.minHz, maxHz, data };
+  }
+
+  // FFT bin boundaries for log-spaced bands; every band gets at least one bin
+  function logEdges(minHz, maxHz, bands, binHz) {
+    const edges = [];
+    const ratio = maxHz / minHz;
+    for (let b = 0; b <= bands; b++) {
+      const hz = minHz * Math.pow(ratio, b / bands);
+      const bin = Math.round(hz / binHz);
+      edges.push(b === 0 ? bin : Math.max(bin, edges[b - 1] + 1));
+    }
+    return edges;
+  }
+
+  // In-place iterative radix-2 FFT (length must be a power of two)
+  function fft(re, im) {
+    const n = re.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        let t = re[i]; re[i] = re[j]; re[j] = t;
+        t = im[i]; im[i] = im[j]; im[j] = t;
+      }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+      const angle = -2 * Math.PI / size;
+      const wRe = Math.cos(angle);
+      const wIm = Math.sin(angle);
+      for (let start = 0; start < n; start += size) {
+        let cRe = 1;
+        let cIm = 0;
+        for (let k = 0; k < size / 2; k++) {
+          const a = start + k;
+          const b = a + size / 2;
+          const tRe = re[b] * cRe - im[b] * cIm;
+          const tIm = re[b] * cIm + im[b] * cRe;
+          re[b] = re[a] - tRe;
+          im[b] = im[a] - tIm;
+          re[a] += tRe;
+          im[a] += tIm;
+          const next = cRe * wRe - cIm * wIm;
+          cIm = cRe * wIm + cIm * wRe;
+          cRe = next;
+        }
+      }
+    }
+  }
+
+  const api = {
+    mixDown,
+    waveformPeaks,
+    peakRange,
+    spectrogram
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.DroneWaveform = api;
+  }
+
+})();
@@ -0,0 +1,129 @@
+/**
+ * Drone Night POV - Minimal ZIP Writer
+ * Store-only (uncompressed) archive builder for PNG frame sequences.
+ * Frames stay as Blobs until the final archive is assembled, so large
+ * exports never hold every decoded frame in the JS heap at once.
+ * No ZIP64: archives stop at 65,535 entries and 4 GB, and addFile() throws
+ * rather than write a corrupt file. DOM-free (window.DroneZip or require()
+ * in Node).
+ */
+
+(function() {
+  'use strict';
+
+  const MAX_ENTRIES = 0xFFFF; // Entry counts are 16-bit
+  const MAX_BYTES = 0xFFFFFFFF; // Offsets and sizes are 32-bit
+
+  const CRC_TABLE = (function() {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+  }
+
+  function createArchive() {
+    const parts = [];
+    const entries = [];
+    const encoder = new TextEncoder();
+    const stamp = dosDateTime(new Date());
+    let offset = 0;
+
+    async function addFile(name, blob) {
+      if (entries.length >= MAX_ENTRIES) {
+        throw new Error(`zip archives hold at most ${MAX_ENTRIES} files`);
+      }
+
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      const nameBytes = encoder.encode(name);
+      if (offset + 30 + nameBytes.length + bytes.length > MAX_BYTES) {
+        throw new Error('zip archives stop at 4 GB');
+      }
+      const crc = crc32(bytes);
+
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true);
+      header.setUint16(4, 20, true);
+      header.setUint16(6, 0x0800, true); // UTF-8 names
+      header.setUint16(8, 0, true); // Stored
+      header.setUint16(10, stamp.time, true);
+      header.setUint16(12, stamp.day, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, bytes.length, true);
+      header.setUint32(22, bytes.length, true);
+      header.setUint16(26, nameBytes.length, true);
+      header.setUint16(28, 0, true);
+
+      parts.push(header.buffer, nameBytes, blob);
+      entries.push({ nameBytes, crc, size: bytes.length, offset });
+      offset += 30 + nameBytes.length + bytes.length;
+    }
+
+    function toBlob() {
+      const central = [];
+      let centralSize = 0;
+
+      for (const entry of entries) {
+        const record = new DataView(new ArrayBuffer(46));
+        record.setUint32(0, 0x02014b50, true);
+        record.setUint16(4, 20, true);
+        record.setUint16(6, 20, true);
+        record.setUint16(8, 0x0800, true);
+        record.setUint16(10, 0, true);
+        record.setUint16(12, stamp.time, true);
+        record.setUint16(14, stamp.day, true);
+        record.setUint32(16, entry.crc, true);
+        record.setUint32(20, entry.size, true);
+        record.setUint32(24, entry.size, true);
+        record.setUint16(28, entry.nameBytes.length, true);
+        record.setUint32(42, entry.offset, true);
+
+        central.push(record.buffer, entry.nameBytes);
+        centralSize += 46 + entry.nameBytes.length;
+      }
+
+      const end = new DataView(new ArrayBuffer(22));
+      end.setUint32(0, 0x06054b50, true);
+      end.setUint16(8, entries.length, true);
+      end.setUint16(10, entries.length, true);
+      end.setUint32(12, centralSize, true);
+      end.setUint32(16, offset, true);
+
+      return new Blob(parts.concat(central, [end.buffer]), { type: 'application/zip' });
+    }
+
+    return {
+      addFile,
+      toBlob,
+      get size() { return offset; },
+      get count() { return entries.length; }
+    };
+  }
+
+  const api = { MAX_ENTRIES, createArchive, crc32 };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    window.DroneZip = api;
+  }
+
+})();
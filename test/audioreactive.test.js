@@ -0,0 +1,145 @@
+/**
+ * Drone Night POV - Audio-Reactive Mapping Tests
+ * Run with `node --test test/` (Node 18+, no dependencies).
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AudioReactive = require('../src/audioreactive.js');
+
+const close = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} expected ${expected}, got ${actual}`);
+};
+
+// One band covering bins [0, 4) at 10 Hz per bin, all at `value`
+const BIN_HZ = 10;
+const spectrum = value => new Uint8Array(8).fill(value);
+const band = (attack, release) => ({ name: 'kick', hz: [0, 40], attack, release });
+
+// ============================================================================
+// resolveConfig
+// ============================================================================
+
+test('resolveConfig returns an empty config without a reactive section', () => {
+  assert.deepEqual(AudioReactive.resolveConfig(undefined), { bands: [], map: [] });
+  assert.deepEqual(AudioReactive.resolveConfig(null), { bands: [], map: [] });
+});
+
+test('resolveConfig declares built-in bands used by the map with default smoothing', () => {
+  const config = AudioReactive.resolveConfig({ map: [{ band: 'bass', target: 'bloom' }] });
+
+  assert.deepEqual(config.bands, [{ name: 'bass', hz: [60, 250], attack: 0.02, release: 0.25 }]);
+  assert.equal(config.map.length, 1);
+  assert.equal(config.map[0].gain, 1);
+  assert.equal(config.map[0].curve(0.5), 0.5); // Linear by default
+});
+
+test('resolveConfig lets scene bands override built-ins and clamps negative smoothing', () => {
+  const config = AudioReactive.resolveConfig({
+    bands: [{ name: 'bass', hz: [40, 120], attack: -1, release: 0.5 }],
+    map: [{ band: 'bass', target: 'fov', gain: 3, curve: 'easeInQuad' }]
+  });
+
+  assert.deepEqual(config.bands, [{ name: 'bass', hz: [40, 120], attack: 0, release: 0.5 }]);
+  assert.equal(config.map[0].gain, 3);
+  assert.equal(config.map[0].curve(0.5), 0.25);
+});
+
+test('resolveConfig drops unknown targets and undeclared unknown bands', () => {
+  const config = AudioReactive.resolveConfig({
+    map: [
+      { band: 'bass', target: 'saturation' },
+      { band: 'rumble', target: 'bloom' },
+      { band: 'high', target: 'grain' },
+      null
+    ]
+  });
+
+  assert.deepEqual(config.bands.map(b => b.name), ['high']);
+  assert.deepEqual(config.map.map(route => route.target), ['grain']);
+});
+
+test('resolveConfig caches the result per reactive object', () => {
+  const reactive = { map: [{ band: 'mid', target: 'roll' }] };
+  assert.equal(AudioReactive.resolveConfig(reactive), AudioReactive.resolveConfig(reactive));
+});
+
+// ============================================================================
+// createTracker / bandLevel
+// ============================================================================
+
+test('bandLevel averages the bins overlapping the band', () => {
+  const bins = new Uint8Array([255, 0, 255, 0, 255, 255]);
+  close(AudioReactive.bandLevel(bins, BIN_HZ, [0, 40]), 0.5);
+  close(AudioReactive.bandLevel(bins, BIN_HZ, [40, 60]), 1);
+  assert.equal(AudioReactive.bandLevel(bins, BIN_HZ, [100, 200]), 0);
+  assert.equal(AudioReactive.bandLevel(null, BIN_HZ, [0, 40]), 0);
+});
+
+test('createTracker starts at the raw level, then attacks and releases exponentially', () => {
+  const tracker = AudioReactive.createTracker();
+  const bands = [band(0.1, 0.2)];
+
+  close(tracker.update(bands, spectrum(0), BIN_HZ, 0.05).kick, 0);
+
+  const k = 1 - Math.exp(-0.05 / 0.1);
+  close(tracker.update(bands, spectrum(255), BIN_HZ, 0.05).kick, k, 'attack');
+
+  const release = 1 - Math.exp(-0.05 / 0.2);
+  close(tracker.update(bands, spectrum(0), BIN_HZ, 0.05).kick, k - k * release, 'release');
+});
+
+test('createTracker holds on a zero step and snaps on negative or long steps', () => {
+  const tracker = AudioReactive.createTracker();
+  const bands = [band(0.1, 0.1)];
+
+  tracker.update(bands, spectrum(0), BIN_HZ, 0);
+  close(tracker.update(bands, spectrum(255), BIN_HZ, 0).kick, 0, 'zero step');
+  close(tracker.update(bands, spectrum(255), BIN_HZ, -0.5).kick, 1, 'backward (loop wrap)');
+  close(tracker.update(bands, spectrum(0), BIN_HZ, 1).kick, 0, 'gap longer than MAX_STEP');
+});
+
+test('createTracker gives the same levels for the same timeline steps', () => {
+  const bands = [band(0.05, 0.3)];
+  const run = () => {
+    const tracker = AudioReactive.createTracker();
+    return [0, 255, 128, 255, 0, 0].map(value => tracker.update(bands, spectrum(value), BIN_HZ, 1 / 30).kick);
+  };
+  assert.deepEqual(run(), run());
+});
+
+test('createTracker reset forgets the smoothed levels', () => {
+  const tracker = AudioReactive.createTracker();
+  const bands = [band(1, 1)];
+
+  tracker.update(bands, spectrum(0), BIN_HZ, 0.01);
+  tracker.reset();
+  close(tracker.update(bands, spectrum(255), BIN_HZ, 0.01).kick, 1);
+});
+
+// ============================================================================
+// fallbackLevels / modulate
+// ============================================================================
+
+test('fallbackLevels drives every band from the beat energy', () => {
+  const config = AudioReactive.resolveConfig({ map: [{ band: 'sub', target: 'bloom' }, { band: 'high', target: 'grain' }] });
+  assert.deepEqual(AudioReactive.fallbackLevels(config, 0.7), { sub: 0.7, high: 0.7 });
+});
+
+test('modulate applies curves and gains, clamps levels and sums routes per target', () => {
+  const config = AudioReactive.resolveConfig({
+    map: [
+      { band: 'bass', target: 'bloom', gain: 2, curve: 'easeInQuad' },
+      { band: 'high', target: 'bloom', gain: 0.5 },
+      { band: 'mid', target: 'roll', gain: -4 }
+    ]
+  });
+  const amounts = AudioReactive.modulate(config, { bass: 0.5, high: 3, mid: -1 });
+
+  close(amounts.bloom, 2 * 0.25 + 0.5 * 1);
+  close(amounts.roll, 0);
+  assert.deepEqual(Object.keys(amounts), AudioReactive.TARGETS);
+  AudioReactive.TARGETS.filter(t => t !== 'bloom').forEach(target => close(amounts[target], 0, target));
+});
@@ -0,0 +1,109 @@
+/**
+ * Drone Night POV - Audio Timing Tests
+ * Run with `node --test test/` (Node 18+, no dependencies).
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AudioTiming = require('../src/audiotiming.js');
+
+const close = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} expected ${expected}, got ${actual}`);
+};
+
+// ============================================================================
+// resolve / fileTime / gainAt
+// ============================================================================
+
+test('resolve without settings plays the whole track from scene time 0', () => {
+  const timing = AudioTiming.resolve(undefined, 30, 18);
+  assert.equal(timing.start, 0);
+  assert.equal(timing.end, 18);
+  assert.equal(AudioTiming.fileTime(timing, 5), 5);
+  assert.equal(AudioTiming.fileTime(timing, 18), null);
+  assert.equal(AudioTiming.trackEnd(timing), 30);
+});
+
+test('resolve clamps trims to the file and keeps the track unknown until loaded', () => {
+  const timing = AudioTiming.resolve({ trimIn: -2, trimOut: 99 }, 20, 18);
+  assert.equal(timing.trimIn, 0);
+  assert.equal(timing.trimOut, 20);
+
+  const pending = AudioTiming.resolve({}, NaN, 18);
+  assert.equal(pending.trimOut, Infinity);
+  assert.equal(AudioTiming.trackEnd(pending), null);
+});
+
+test('a positive offset skips into the track, a negative one delays it', () => {
+  const ahead = AudioTiming.resolve({ offset: 2.5 }, 30, 10);
+  assert.equal(AudioTiming.fileTime(ahead, 0), 2.5);
+  assert.equal(AudioTiming.sceneTime(ahead, 2.5), 0);
+  assert.equal(ahead.end, 12.5);
+
+  const late = AudioTiming.resolve({ offset: -1 }, 30, 10);
+  assert.equal(AudioTiming.fileTime(late, 0.5), null, 'silent before the music starts');
+  assert.equal(AudioTiming.fileTime(late, 1), 0);
+  assert.equal(AudioTiming.trackEnd(late), 31);
+});
+
+test('trimmed ranges stay silent', () => {
+  const timing = AudioTiming.resolve({ trimIn: 3, trimOut: 8 }, 30, 18);
+  assert.equal(AudioTiming.fileTime(timing, 2), null);
+  assert.equal(AudioTiming.fileTime(timing, 3), 3);
+  assert.equal(AudioTiming.fileTime(timing, 8), null);
+  assert.equal(AudioTiming.gainAt(timing, null), 0);
+});
+
+test('gainAt fades in from the first and out to the last audible moment', () => {
+  const timing = AudioTiming.resolve({ offset: 1, fadeIn: 2, fadeOut: 4 }, 30, 10);
+  close(AudioTiming.gainAt(timing, 1), 0);
+  close(AudioTiming.gainAt(timing, 2), 0.5);
+  close(AudioTiming.gainAt(timing, 5), 1);
+  close(AudioTiming.gainAt(timing, 9), 0.5); // end = 11
+  close(AudioTiming.gainAt(timing, 11), 0);
+});
+
+// ============================================================================
+// fitScene
+// ============================================================================
+
+function makeScene() {
+  return {
+    meta: { duration: 10, bpm: 120 },
+    beats: [0, 0.5, 1, 9.5],
+    shots: [
+      { name: 'A', time: [0, 4], camera: { fov: [60, 80] }, fx: { fade: [3, 4] } },
+      { name: 'B', time: [4, 10], transition: { type: 'crossfade', duration: 0.5 }, fx: {} }
+    ]
+  };
+}
+
+test('fitScene rescales absolute times in place and returns the factor', () => {
+  const scene = makeScene();
+  const factor = AudioTiming.fitScene(scene, 20);
+
+  assert.equal(factor, 2);
+  assert.equal(scene.meta.duration, 20);
+  assert.equal(scene.meta.bpm, 60);
+  assert.deepEqual(scene.beats, [0, 1, 2, 19]);
+  assert.deepEqual(scene.shots.map(shot => shot.time), [[0, 8], [8, 20]]);
+  assert.deepEqual(scene.shots[0].fx.fade, [6, 8]);
+  assert.equal(scene.shots[1].transition.duration, 1);
+  assert.deepEqual(scene.shots[0].camera.fov, [60, 80], 'shot-relative tracks are untouched');
+});
+
+test('fitScene rounds to the millisecond and leaves matching or unknown lengths alone', () => {
+  const scene = makeScene();
+  AudioTiming.fitScene(scene, 10 / 3);
+  assert.deepEqual(scene.shots[0].time, [0, 1.333]);
+
+  const same = makeScene();
+  assert.equal(AudioTiming.fitScene(same, 10), 1);
+  assert.deepEqual(same, makeScene());
+
+  const unknown = makeScene();
+  assert.equal(AudioTiming.fitScene(unknown, NaN), 1);
+  assert.deepEqual(unknown, makeScene());
+});
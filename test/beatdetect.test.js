@@ -0,0 +1,47 @@
+/**
+ * Drone Night POV - Beat Detection Tests
+ * Run with `node --test test/` (Node 18+, no dependencies).
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BeatDetect = require('../src/beatdetect.js');
+
+const SAMPLE_RATE = 22050;
+
+// Decaying sine kicks at `bpm` from `first` seconds, over a faint noise floor
+function clickTrack(bpm, first, duration) {
+  const samples = new Float32Array(SAMPLE_RATE * duration);
+  let seed = 1;
+  for (let i = 0; i < samples.length; i++) {
+    seed = (seed * 16807) % 2147483647;
+    samples[i] = (seed / 2147483647 - 0.5) * 0.001;
+  }
+  for (let t = first; t < duration; t += 60 / bpm) {
+    const start = Math.round(t * SAMPLE_RATE);
+    for (let i = 0; i < 2000 && start + i < samples.length; i++) {
+      samples[start + i] += Math.sin(i * 0.05) * Math.exp(-i / 400);
+    }
+  }
+  return samples;
+}
+
+test('detectBeats finds the tempo and the first kick', () => {
+  const result = BeatDetect.detectBeats(clickTrack(120, 0.5, 10), SAMPLE_RATE);
+  assert.equal(result.bpm, 120);
+  assert.ok(Math.abs(result.beats[0] - 0.5) < 0.03, `first beat at ${result.beats[0]}`);
+});
+
+test('detectBeats puts no beat before the music starts', () => {
+  for (const bpm of [100, 120, 140]) {
+    const result = BeatDetect.detectBeats(clickTrack(bpm, 0.5, 10), SAMPLE_RATE);
+    assert.ok(result.beats[0] >= 0.5 - 0.07, `${bpm} BPM: beat at ${result.beats[0]}`);
+  }
+});
+
+test('detectBeats keeps a kick on the very first sample', () => {
+  const result = BeatDetect.detectBeats(clickTrack(120, 0, 10), SAMPLE_RATE);
+  assert.equal(result.beats[0], 0);
+});
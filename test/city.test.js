@@ -0,0 +1,129 @@
+/**
+ * Drone Night POV - City Layout Tests
+ * Run with `node --test test/` (Node 18+, no dependencies).
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const City = require('../src/city.js');
+const Timeline = require('../src/timeline.js');
+
+// ============================================================================
+// LAYOUT
+// ============================================================================
+
+test('resolveConfig fills defaults and keeps streets inside a block', () => {
+  const config = City.resolveConfig({ blockSize: 0, streetWidth: 5 });
+  assert.equal(config.blockSize, 1);
+  assert.equal(config.streetWidth, 1);
+  assert.equal(config.extent, City.DEFAULTS.extent);
+  assert.deepEqual(City.resolveConfig(null), City.DEFAULTS);
+});
+
+test('generateLayout is the same city for the same seed and config', () => {
+  const city = { extent: 16, height: [4, 12] };
+  assert.deepEqual(City.generateLayout(11, city, null), City.generateLayout(11, city, null));
+  assert.notDeepEqual(City.generateLayout(11, city, null).buildings, City.generateLayout(12, city, null).buildings);
+});
+
+test('generateLayout keeps buildings inside the configured ranges', () => {
+  const city = { extent: 16, blockSize: 8, buildingsPerBlock: [2, 2], footprint: [2, 3], height: [6, 9] };
+  const layout = City.generateLayout(5, city, null);
+
+  assert.equal(layout.buildings.length, 4 * 4 * 2); // 4 × 4 blocks, 2 each
+  layout.buildings.forEach(b => {
+    assert.ok(b.width >= 2 && b.width <= 3, `width ${b.width}`);
+    assert.ok(b.depth >= 2 && b.depth <= 3, `depth ${b.depth}`);
+    assert.ok(b.height >= 6 && b.height <= 9, `height ${b.height}`);
+  });
+});
+
+test('generateLayout leaves excluded zones and zero-density windows empty', () => {
+  const city = { extent: 16, blockSize: 8, windowDensity: 0, accentChance: 0, exclude: [{ x: [-20, 20], z: [-1, 20] }] };
+  const layout = City.generateLayout(9, city, null);
+
+  assert.ok(layout.buildings.length > 0);
+  layout.buildings.forEach(b => assert.ok(b.z < -4, `building at z=${b.z} from an excluded block`));
+  assert.equal(layout.windows.length, 0);
+  assert.equal(layout.accents.length, 0);
+});
+
+// ============================================================================
+// CORRIDOR & COLLISIONS
+// ============================================================================
+
+function corridorScene() {
+  return {
+    meta: { duration: 3, seed: 1 },
+    beats: [],
+    shots: [
+      { name: 'Run', time: [0, 2], path: { type: 'linear', points: [[-10, 5, 0], [10, 5, 0]] }, camera: {} },
+      { name: 'Rise', time: [2, 3], path: { type: 'linear', points: [[10, 5, 0], [10, 25, 0]] }, camera: { speedMul: 2 } }
+    ]
+  };
+}
+
+test('sampleCorridor samples every shot 30 times per second, ends included', () => {
+  const samples = City.sampleCorridor(corridorScene());
+  const run = samples.filter(s => s.shotIndex === 0);
+  const rise = samples.filter(s => s.shotIndex === 1);
+
+  assert.equal(run.length, 61);
+  assert.equal(rise.length, 31);
+  assert.deepEqual(run[0].position, [-10, 5, 0]);
+  assert.deepEqual(run[run.length - 1].position, [10, 5, 0]);
+  assert.equal(run[30].time, 1);
+  assert.equal(rise[0].shot, 'Rise');
+  assert.deepEqual(City.sampleCorridor(null), []);
+});
+
+test('sampleCorridor follows speedMul like playback', () => {
+  const scene = corridorScene();
+  const rise = City.sampleCorridor(scene).filter(s => s.shotIndex === 1);
+  const travel = Timeline.pathProgress(scene.shots[1], 0.5);
+
+  assert.notEqual(travel, 0.5);
+  assert.ok(Math.abs(rise[15].position[1] - (5 + 20 * travel)) < 1e-9);
+  assert.deepEqual(rise[rise.length - 1].position, [10, 25, 0]);
+});
+
+test('generateLayout clears the corridor without reshuffling the rest', () => {
+  const city = { extent: 16, height: [20, 30], corridorRadius: 2 };
+  const corridor = City.sampleCorridor(corridorScene());
+  const open = City.generateLayout(3, city, null);
+  const cleared = City.generateLayout(3, city, corridor);
+
+  assert.ok(cleared.cleared > 0);
+  assert.equal(cleared.buildings.length + cleared.cleared, open.buildings.length);
+  cleared.buildings.forEach(b => assert.ok(open.buildings.some(o => JSON.stringify(o) === JSON.stringify(b))));
+  assert.deepEqual(City.findCollisions(corridor, cleared), []);
+});
+
+test('findCollisions merges consecutive hits into spans per shot and obstacle', () => {
+  const samples = City.sampleCorridor(corridorScene());
+  const wall = { label: 'wall', min: [-1, 0, -1], max: [1, 10, 1] };
+  const collisions = City.findCollisions(samples, null, [wall]);
+
+  assert.equal(collisions.length, 1);
+  const hit = collisions[0];
+  assert.equal(hit.shot, 'Run');
+  assert.equal(hit.obstacle, 'wall');
+  assert.ok(hit.start > 0.85 && hit.start < 0.95, `start ${hit.start}`);
+  assert.ok(hit.end > 1.05 && hit.end < 1.15, `end ${hit.end}`);
+  assert.match(City.formatCollision(hit), /^"Run" 0\.\d\ds-1\.\d\ds: hits wall$/);
+});
+
+test('findCollisions reports layout buildings and keeps a small clearance', () => {
+  const samples = City.sampleCorridor(corridorScene());
+  const layout = { buildings: [{ x: 10, z: 0.5, width: 0.4, depth: 0.4, height: 8 }] };
+  const collisions = City.findCollisions(samples, layout, []);
+
+  // 0.3 units from the path: outside the 0.25 clearance
+  assert.deepEqual(collisions, []);
+
+  layout.buildings[0].z = 0.4;
+  const near = City.findCollisions(samples, layout, []);
+  assert.deepEqual(near.map(c => [c.shot, c.obstacle]), [['Run', 'building #1'], ['Rise', 'building #1']]);
+});
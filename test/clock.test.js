@@ -0,0 +1,68 @@
+/**
+ * Drone Night POV - Playback Clock Tests
+ * Run with `node --test test/` (Node 18+, no dependencies).
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Clock = require('../src/clock.js');
+
+const close = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} expected ${expected}, got ${actual}`);
+};
+
+// A playing track heard `offset` seconds into the scene
+const track = (mediaTime, clockTime, rate, offset) => ({
+  mediaTime,
+  clockTime,
+  rate: rate || 1,
+  toScene: t => t - (offset || 0)
+});
+
+test('without a track, time advances by frame delta × speed', () => {
+  const clock = Clock.createClock();
+  close(clock.advance(2, 0.04, 1, null), 2.04);
+  close(clock.advance(2, 0.04, 0.5, null), 2.02);
+});
+
+test('a playing track anchors the clock and maps to scene time', () => {
+  const clock = Clock.createClock();
+  close(clock.advance(0, 0.016, 1, track(5, 100, 1, 2)), 3);
+});
+
+test('coarse element updates within the tolerance are smoothed, not followed', () => {
+  const clock = Clock.createClock();
+  clock.advance(0, 0.016, 1, track(5, 100));
+
+  // The element still reports 5.0 a frame later: the clock keeps moving
+  close(clock.advance(5, 0.016, 1, track(5, 100.016)), 5.016);
+  // It catches up in a jump under the tolerance: no re-anchor, no jump
+  close(clock.advance(5.016, 0.016, 1, track(5.1, 100.032)), 5.032);
+});
+
+test('a drift past the tolerance re-anchors on the element', () => {
+  const clock = Clock.createClock();
+  clock.advance(0, 0.016, 1, track(5, 100));
+
+  const drift = Clock.REANCHOR_TOLERANCE + 0.05;
+  close(clock.advance(5, 0.5, 1, track(5.5 + drift, 100.5)), 5.5 + drift);
+});
+
+test('a rate change continues from the interpolated position', () => {
+  const clock = Clock.createClock();
+  clock.advance(0, 0.016, 1, track(5, 100));
+  close(clock.advance(5, 0.1, 2, track(5.05, 100.1, 2)), 5.1);
+  close(clock.advance(5.1, 0.1, 2, track(5.3, 100.2, 2)), 5.3);
+});
+
+test('reset and frame-delta frames drop the anchor', () => {
+  const clock = Clock.createClock();
+  clock.advance(0, 0.016, 1, track(5, 100));
+  clock.reset();
+  close(clock.advance(0, 0.016, 1, track(9, 100.1)), 9, 'after reset');
+
+  clock.advance(9, 0.016, 1, null);
+  close(clock.advance(0, 0.016, 1, track(1, 100.2)), 1, 'after a frame without the track');
+});
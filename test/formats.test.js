@@ -0,0 +1,65 @@
+/**
+ * Drone Night POV - Output Format Tests
+ * Run with `node --test test/` (Node 18+, no dependencies).
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Formats = require('../src/formats.js');
+const Params = require('../src/params.js');
+
+const close = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message || ''} expected ${expected}, got ${actual}`);
+};
+
+const diagonalFov = (fov, ratio) => {
+  const half = Math.tan(fov * Math.PI / 360);
+  return half * Math.sqrt(1 + ratio * ratio);
+};
+
+test('normalize accepts ":", "x" and "/" separators', () => {
+  assert.equal(Formats.normalize('16:9'), '16:9');
+  assert.equal(Formats.normalize(' 9x16 '), '9:16');
+  assert.equal(Formats.normalize('4/5'), '4:5');
+  assert.equal(Formats.normalize('21:9'), null);
+  assert.equal(Formats.normalize(undefined), null);
+});
+
+test('ratio falls back to the default shape', () => {
+  close(Formats.ratio('16:9'), 16 / 9);
+  close(Formats.ratio('bogus'), 9 / 16);
+});
+
+test('size puts the resolution on the short side with an even long side', () => {
+  assert.deepEqual(Formats.size('9:16', '1080p'), { width: 1080, height: 1920 });
+  assert.deepEqual(Formats.size('16:9', '2160p'), { width: 3840, height: 2160 });
+  assert.deepEqual(Formats.size('4:5', '1440p'), { width: 1440, height: 1800 });
+  assert.deepEqual(Formats.size('1:1', 'unknown'), { width: 1080, height: 1080 });
+});
+
+test('fit centers the largest frame of the ratio in the box', () => {
+  assert.deepEqual(Formats.fit(1000, 1000, 9 / 16), { x: 219, y: 0, width: 563, height: 1000 });
+  assert.deepEqual(Formats.fit(800, 1000, 16 / 9), { x: 0, y: 275, width: 800, height: 450 });
+  assert.deepEqual(Formats.fit(1920, 1080, 16 / 9), { x: 0, y: 0, width: 1920, height: 1080 });
+});
+
+test('compensateFov leaves the reference shape alone', () => {
+  assert.equal(Formats.compensateFov(60, 9 / 16), 60);
+  assert.equal(Formats.compensateFov(60, 0), 60);
+});
+
+test('compensateFov keeps the diagonal field of view of the reference shape', () => {
+  [16 / 9, 1, 4 / 5].forEach(ratio => {
+    const fov = Formats.compensateFov(60, ratio);
+    close(diagonalFov(fov, ratio), diagonalFov(60, 9 / 16), `ratio ${ratio}`);
+  });
+  assert.ok(Formats.compensateFov(60, 16 / 9) < 60, 'wider frames narrow the vertical FOV');
+  assert.ok(Formats.compensateFov(60, 16 / 9) > 0);
+});
+
+test('?format= and ?guides= are parsed with the shared names', () => {
+  assert.deepEqual(Params.parse('?format=16x9&guides=1').params, { format: '16:9', guides: true });
+  assert.deepEqual(Params.parse('?format=3:2').warnings, ['?format=3:2 is not valid (ignored)']);
+});
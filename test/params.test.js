@@ -0,0 +1,44 @@
+/**
+ * Drone Night POV - URL Parameter Tests
+ * Run with `node --test test/` (Node 18+, no dependencies).
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Params = require('../src/params.js');
+
+test('parse leaves absent and unknown keys undefined', () => {
+  assert.deepEqual(Params.parse(''), { params: {}, warnings: [] });
+  assert.deepEqual(Params.parse(undefined), { params: {}, warnings: [] });
+  assert.deepEqual(Params.parse('?volume=3&debug'), { params: {}, warnings: [] });
+});
+
+test('parse reads a kiosk query string', () => {
+  const result = Params.parse('?preset=intense&t=6&speed=1.5&autoplay=1&record=0&hud=yes&loop=off&seed=7');
+  assert.deepEqual(result, {
+    params: { preset: 'intense', t: 6, speed: 1.5, autoplay: true, record: false, hud: true, loop: false, seed: 7 },
+    warnings: []
+  });
+});
+
+test('parse treats a bare flag as true and trims values', () => {
+  assert.deepEqual(Params.parse('?autoplay&hud=%20TRUE%20&scene=%20my.json').params, {
+    scene: 'my.json',
+    autoplay: true,
+    hud: true
+  });
+});
+
+test('parse drops malformed values with one warning each', () => {
+  const result = Params.parse('?t=-1&speed=0&autoplay=maybe&preset=&seed=1.5');
+  assert.deepEqual(result.params, {});
+  assert.deepEqual(result.warnings, [
+    '?preset= is not valid (ignored)',
+    '?t=-1 is not valid (ignored)',
+    '?speed=0 is not valid (ignored)',
+    '?seed=1.5 is not valid (ignored)',
+    '?autoplay=maybe is not valid (ignored)'
+  ]);
+});
@@ -0,0 +1,134 @@
+/**
+ * Drone Night POV - Scene Schema Tests
+ * Run with `node --test test/` (Node 18+, no dependencies).
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Schema = require('../src/schema.js');
+
+function makeScene() {
+  return {
+    meta: { title: 'Test', duration: 4, bpm: 120, seed: 3 },
+    beats: [0, 0.5, 1],
+    shots: [
+      {
+        name: 'A',
+        time: [0, 4],
+        path: { type: 'linear', points: [[0, 10, 0], [0, 10, -20]] },
+        camera: { fov: 60, rollDeg: 0, speedMul: 1 },
+        fx: { bloom: 0.2, vignette: 0.3, neonPulse: 0 }
+      }
+    ]
+  };
+}
+
+const messages = result => result.issues.map(Schema.formatIssue);
+
+// ============================================================================
+// PROTOTYPE KEYS
+// ============================================================================
+
+test('parseScene keeps a "__proto__" key as a plain property, like JSON.parse', () => {
+  const text = JSON.stringify(makeScene(), null, 2).replace('{\n', '{\n  "__proto__": { "polluted": true },\n');
+  const result = Schema.parseScene(text);
+
+  assert.equal(result.ok, true);
+  assert.equal(Object.getPrototypeOf(result.data), Object.prototype);
+  assert.equal(result.data.polluted, undefined);
+  assert.deepEqual(Object.getOwnPropertyDescriptor(result.data, '__proto__').value, { polluted: true });
+  assert.ok(messages(result).includes('line 2 · __proto__: unknown property (ignored)'));
+
+  // Same outcome as validating what JSON.parse produced
+  const parsed = Schema.validateScene(JSON.parse(text));
+  assert.equal(parsed.data.polluted, undefined);
+  assert.deepEqual(parsed.issues.map(issue => issue.path), result.issues.map(issue => issue.path));
+});
+
+// ============================================================================
+// DEFAULTS & REPAIRS
+// ============================================================================
+
+test('validateScene accepts a complete scene without issues', () => {
+  const result = Schema.validateScene(makeScene());
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.issues, []);
+});
+
+test('validateScene fills missing sections with defaults and warns once per section', () => {
+  const scene = makeScene();
+  delete scene.meta.bpm;
+  delete scene.shots[0].fx;
+  const result = Schema.validateScene(scene);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.data.meta.bpm, 90);
+  assert.deepEqual(result.data.shots[0].fx, { bloom: [0.2, 0.2], vignette: [0.3, 0.3], neonPulse: 0 });
+  assert.deepEqual(messages(result), [
+    'meta.bpm: missing, using default 90',
+    'shots[0].fx: missing, using default {}'
+  ]);
+});
+
+test('validateScene repairs without touching the input', () => {
+  const scene = makeScene();
+  scene.meta.seed = 1.5;
+  const before = JSON.stringify(scene);
+  const result = Schema.validateScene(scene);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.data.meta.seed, 2);
+  assert.ok(messages(result).includes('meta.seed: expected an integer, rounding 1.5 to 2'));
+  assert.equal(JSON.stringify(scene), before);
+});
+
+test('validateScene rejects non-objects and empty shot lists', () => {
+  assert.deepEqual(Schema.validateScene([]).issues, [
+    { path: '', line: null, severity: 'error', message: 'scene must be a JSON object' }
+  ]);
+
+  const scene = makeScene();
+  scene.shots = [];
+  const result = Schema.validateScene(scene);
+  assert.equal(result.ok, false);
+  assert.ok(messages(result).includes('shots: needs at least 1 item(s), got 0'));
+});
+
+// ============================================================================
+// LINE TRACKING
+// ============================================================================
+
+test('parseScene reports each issue on the line of its JSON path', () => {
+  const text = [
+    '{',
+    '  "meta": { "title": "T", "duration": 3, "bpm": 900, "seed": 1 },',
+    '  "beats": [0, 1],',
+    '  "shots": [',
+    '    {',
+    '      "name": "A", "time": [0, 3],',
+    '      "camera": { "fov": 60, "rollDeg": 0, "speedMul": 1 },',
+    '      "fx": { "bloom": 0.2, "vignette": 0.3, "neonPulse": 0 },',
+    '      "path": { "type": "spiral" }',
+    '    }',
+    '  ]',
+    '}'
+  ].join('\n');
+  const result = Schema.parseScene(text);
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.issues.map(issue => [issue.path, issue.line, issue.severity]), [
+    ['meta.bpm', 2, 'error'],
+    ['shots[0].path.type', 9, 'error']
+  ]);
+});
+
+test('parseScene turns JSON syntax errors into a single issue with its line', () => {
+  const result = Schema.parseScene('{\n  "meta": {},\n}');
+  assert.equal(result.ok, false);
+  assert.equal(result.data, null);
+  assert.equal(result.issues.length, 1);
+  assert.equal(result.issues[0].line, 3);
+  assert.match(result.issues[0].message, /^JSON syntax error: Expected a property name/);
+});
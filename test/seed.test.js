@@ -0,0 +1,45 @@
+/**
+ * Drone Night POV - Seed Tests
+ * Run with `node --test test/` (Node 18+, no dependencies).
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Params = require('../src/params.js');
+const Schema = require('../src/schema.js');
+const City = require('../src/city.js');
+
+function makeScene(seed) {
+  return {
+    meta: { title: 'Seed', duration: 2, bpm: 90, seed },
+    beats: [0, 1],
+    shots: [
+      { name: 'A', time: [0, 2], path: { type: 'linear', points: [[0, 1, 0], [1, 1, 1]] }, camera: {}, fx: {} }
+    ]
+  };
+}
+
+test('?seed accepts non-negative integers only', () => {
+  assert.deepEqual(Params.parse('?seed=7'), { params: { seed: 7 }, warnings: [] });
+  assert.deepEqual(Params.parse('?seed=0').params, { seed: 0 });
+
+  const negative = Params.parse('?seed=-7');
+  assert.deepEqual(negative.params, {});
+  assert.deepEqual(negative.warnings, ['?seed=-7 is not valid (ignored)']);
+});
+
+test('a negative meta.seed fails validation', () => {
+  const result = Schema.validateScene(makeScene(-7));
+  assert.equal(result.ok, false);
+  assert.ok(result.issues.some(issue => issue.path === 'meta.seed' && issue.severity === 'error'));
+
+  assert.equal(Schema.validateScene(makeScene(7)).ok, true);
+});
+
+test('every accepted seed generates a city', () => {
+  [0, 1, 42, 233279, 2147483647].forEach(seed => {
+    assert.ok(City.generateLayout(seed, null, null).buildings.length > 0, `seed ${seed}`);
+  });
+});
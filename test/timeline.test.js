@@ -0,0 +1,205 @@
+/**
+ * Drone Night POV - Timeline Tests
+ * Run with `node --test test/` (Node 18+, no dependencies).
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Timeline = require('../src/timeline.js');
+
+const close = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} expected ${expected}, got ${actual}`);
+};
+
+function makeScene() {
+  return {
+    meta: { duration: 10, seed: 7 },
+    beats: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    shots: [
+      {
+        name: 'A',
+        time: [0, 4],
+        path: { type: 'linear', points: [[0, 10, 0], [0, 10, -40]] },
+        camera: { fov: [60, 80], rollDeg: 0, shake: { impact: { amplitude: 0 } } },
+        fx: { bloom: 0.2, vignette: [0.3, 0.5] }
+      },
+      {
+        name: 'B',
+        time: [4, 10],
+        path: { type: 'linear', points: [[0, 10, -40], [40, 10, -40]] },
+        camera: { fov: 70, speedMul: 2 },
+        fx: { fade: [9, 10] }
+      }
+    ]
+  };
+}
+
+// ============================================================================
+// sampleTrack
+// ============================================================================
+
+test('sampleTrack returns constants and falls back on missing tracks', () => {
+  assert.equal(Timeline.sampleTrack(42, 0.3, 0), 42);
+  assert.equal(Timeline.sampleTrack(undefined, 0.3, 5), 5);
+  assert.equal(Timeline.sampleTrack([], 0.3, 5), 5);
+});
+
+test('sampleTrack interpolates [start, end] pairs, eased when asked', () => {
+  close(Timeline.sampleTrack([10, 20], 0.25, 0), 12.5);
+  close(Timeline.sampleTrack([10, 20, 'easeInQuad'], 0.5, 0), 12.5);
+});
+
+test('sampleTrack holds keyframe ends and eases each segment', () => {
+  const track = [[0.2, 0], [0.6, 10, 'easeInQuad'], [1, 30]];
+  assert.equal(Timeline.sampleTrack(track, 0, null), 0);
+  close(Timeline.sampleTrack(track, 0.4, null), 5);
+  close(Timeline.sampleTrack(track, 0.8, null), 15); // 0.5² × 20 + 10
+  assert.equal(Timeline.sampleTrack(track, 1, null), 30);
+});
+
+// ============================================================================
+// pathProgress
+// ============================================================================
+
+test('pathProgress is the shot progress without ease or speedMul', () => {
+  close(Timeline.pathProgress({ camera: {} }, 0.3), 0.3);
+  close(Timeline.pathProgress({}, 0.7), 0.7);
+});
+
+test('pathProgress with speedMul keeps the endpoints and accelerates', () => {
+  const shot = { camera: { speedMul: 3 } };
+  close(Timeline.pathProgress(shot, 0), 0);
+  close(Timeline.pathProgress(shot, 1), 1);
+  close(Timeline.pathProgress(shot, 0.5), (0.5 + 2 * 0.125) / 2);
+
+  // Exit speed / entry speed equals speedMul
+  const h = 1e-6;
+  const entry = Timeline.pathProgress(shot, h) / h;
+  const exit = (1 - Timeline.pathProgress(shot, 1 - h)) / h;
+  assert.ok(Math.abs(exit / entry - 3) < 1e-3, `speed ratio ${exit / entry}`);
+});
+
+test('pathProgress with speedMul below 1 decelerates and stays monotonic', () => {
+  const shot = { camera: { speedMul: 0.5 } };
+  let previous = -1;
+  for (let p = 0; p <= 1; p += 0.05) {
+    const travel = Timeline.pathProgress(shot, p);
+    assert.ok(travel >= previous, `not monotonic at ${p}`);
+    previous = travel;
+  }
+  assert.ok(Timeline.pathProgress(shot, 0.5) > 0.5);
+});
+
+test('pathProgress applies camera.ease before speedMul', () => {
+  close(Timeline.pathProgress({ camera: { ease: 'easeInQuad' } }, 0.5), 0.25);
+});
+
+// ============================================================================
+// evaluateShake
+// ============================================================================
+
+test('evaluateShake is zero without any shake layer', () => {
+  const shake = Timeline.evaluateShake({ shake: { impact: { amplitude: 0 } } }, 0.5, 1.3, [0, 1, 2], 42);
+  assert.deepEqual(shake, { offset: [0, 0, 0], pitch: 0, yaw: 0, roll: 0 });
+});
+
+test('evaluateShake is a pure function of seed and time', () => {
+  const camera = { shake: { handheld: { amplitude: 2 }, fpv: { amplitude: 0.5, frequency: 20 } } };
+  const a = Timeline.evaluateShake(camera, 0.4, 2.37, [], 11);
+  const b = Timeline.evaluateShake(camera, 0.4, 2.37, [], 11);
+  const other = Timeline.evaluateShake(camera, 0.4, 2.37, [], 12);
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(a, other);
+  assert.ok(a.pitch !== 0 || a.yaw !== 0);
+});
+
+test('evaluateShake impacts kick on the last beat and decay', () => {
+  const camera = { shake: { impact: { amplitude: 4, decay: 0.1 } } };
+  const beats = [1, 2];
+  const before = Timeline.evaluateShake(camera, 0, 0.5, beats, 3);
+  const onBeat = Timeline.evaluateShake(camera, 0, 1, beats, 3);
+  const later = Timeline.evaluateShake(camera, 0, 1.3, beats, 3);
+
+  assert.equal(before.pitch, 0);
+  close(onBeat.pitch, -4 * Math.PI / 180 * 0.5);
+  assert.ok(Math.abs(later.pitch) < Math.abs(onBeat.pitch));
+});
+
+// ============================================================================
+// evaluateScene
+// ============================================================================
+
+test('evaluateScene returns null without shots', () => {
+  assert.equal(Timeline.evaluateScene(null, 0), null);
+  assert.equal(Timeline.evaluateScene({ shots: [] }, 0), null);
+});
+
+test('evaluateScene picks the shot and its progress', () => {
+  const scene = makeScene();
+  const a = Timeline.evaluateScene(scene, 2);
+  assert.equal(a.shot.name, 'A');
+  assert.equal(a.shotIndex, 0);
+  close(a.progress, 0.5);
+
+  const b = Timeline.evaluateScene(scene, 7);
+  assert.equal(b.shot.name, 'B');
+  close(b.progress, 0.5);
+
+  // Past the end holds the last shot
+  assert.equal(Timeline.evaluateScene(scene, 12).shot.name, 'B');
+});
+
+test('evaluateScene follows the path and samples camera/fx tracks', () => {
+  const state = Timeline.evaluateScene(makeScene(), 2);
+  close(state.position[0], 0);
+  close(state.position[2], -20);
+  close(state.fov, 70);
+  close(state.roll, 0);
+  close(state.fx.bloomBase, 0.2);
+  close(state.fx.vignette, 0.4);
+  assert.equal(state.fx.fade, 1);
+  assert.ok(state.lookAt[2] < state.position[2], 'looks ahead along the path');
+});
+
+test('evaluateScene applies speedMul to path travel', () => {
+  const state = Timeline.evaluateScene(makeScene(), 7);
+  close(state.travel, Timeline.pathProgress(makeScene().shots[1], 0.5));
+  assert.ok(state.position[0] < 20, 'accelerating shot is behind the midpoint at half time');
+});
+
+test('evaluateScene fades out over fx.fade', () => {
+  const scene = makeScene();
+  close(Timeline.evaluateScene(scene, 9.5).fx.fade, 0.5);
+});
+
+test('evaluateScene prefers audio energy over beat distance', () => {
+  const scene = makeScene();
+  assert.equal(Timeline.evaluateScene(scene, 2, { audioEnergy: 0.3 }).fx.energy, 0.3);
+  assert.ok(Timeline.evaluateScene(scene, 2).fx.energy > Timeline.evaluateScene(scene, 2.5).fx.energy);
+});
+
+test('evaluateScene is deterministic for the same time', () => {
+  const scene = makeScene();
+  scene.shots[0].camera.shake = { handheld: { amplitude: 1 } };
+  const a = Timeline.evaluateScene(scene, 1.234);
+  const b = Timeline.evaluateScene(scene, 1.234);
+  assert.deepEqual(a.position, b.position);
+  assert.deepEqual(a.shake, b.shake);
+});
+
+test('evaluateScene gives export frames the same state on every pass', () => {
+  // Export frames pass no audio (renderFrameAt while exporting), so reactive
+  // routes follow the beats and a frame never depends on what came before
+  const scene = makeScene();
+  scene.reactive = { map: [{ band: 'bass', target: 'bloom', gain: 0.5 }, { band: 'high', target: 'fov', gain: 4 }] };
+  const exportFrame = time => Timeline.evaluateScene(scene, time, { audioEnergy: null, bands: null });
+
+  const first = [0, 1 / 30, 2.5, 9.9].map(exportFrame);
+  exportFrame(5.5);
+  const second = [0, 1 / 30, 2.5, 9.9].map(exportFrame);
+
+  assert.deepEqual(second, first);
+  assert.ok(first[0].fx.bloom > exportFrame(0.5).fx.bloom, 'bloom still pulses on the beats');
+});
@@ -0,0 +1,126 @@
+/**
+ * Drone Night POV - Titles Tests
+ * Run with `node --test test/` (Node 18+, no dependencies).
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Titles = require('../src/titles.js');
+const AudioTiming = require('../src/audiotiming.js');
+
+const close = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} expected ${expected}, got ${actual}`);
+};
+
+// Records what draw() does; measureText is ~0.5em per character
+function mockContext() {
+  const calls = [];
+  const ctx = {
+    calls,
+    save() {},
+    restore() {},
+    beginPath() {},
+    moveTo() {},
+    lineTo() {},
+    stroke() { calls.push(['stroke']); },
+    measureText: text => ({ width: text.length * 10 }),
+    fillText(text, x, y) { calls.push(['fillText', text, x, y, ctx.globalAlpha]); }
+  };
+  return ctx;
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+test('anyActive and frameAt follow the [start, end) range', () => {
+  const titles = [{ text: 'Hi', time: [1, 3] }];
+  assert.equal(Titles.anyActive(titles, 0.9), false);
+  assert.equal(Titles.anyActive(titles, 1), true);
+  assert.equal(Titles.anyActive(titles, 3), false);
+  assert.equal(Titles.anyActive(null, 1), false);
+  assert.equal(Titles.frameAt(titles[0], 3), null);
+  assert.equal(Titles.frameAt({ time: [0, 1] }, 0.5), null, 'no text');
+});
+
+test('frameAt fades in and out over the default half second', () => {
+  const title = { text: 'Hi', time: [1, 3] };
+  close(Titles.frameAt(title, 1).alpha, 0);
+  close(Titles.frameAt(title, 1.25).alpha, 0.5);
+  close(Titles.frameAt(title, 2).alpha, 1);
+  close(Titles.frameAt(title, 2.75).alpha, 0.5);
+});
+
+test('frameAt uses each animation duration and fits them into short titles', () => {
+  const title = { text: 'Hi', time: [0, 1], in: { type: 'fade', duration: 0.8 }, out: { type: 'fade', duration: 0.8 } };
+  close(Titles.frameAt(title, 0.4).alpha, 0.5, 'in keeps its 0.8s');
+  close(Titles.frameAt(title, 0.9).alpha, 0.5, 'out gets the 0.2s left');
+
+  const instant = { text: 'Hi', time: [0, 1], in: { type: 'fade', duration: 0 }, out: { type: 'none' } };
+  close(Titles.frameAt(instant, 0).alpha, 1);
+  close(Titles.frameAt(instant, 0.99).alpha, 1);
+});
+
+test('frameAt types the text in and erases it on the way out', () => {
+  const title = { text: 'ABCD', time: [0, 4], in: { type: 'typewriter', duration: 1 }, out: { type: 'typewriter', duration: 1 } };
+  assert.equal(Titles.frameAt(title, 0).text, '');
+  assert.equal(Titles.frameAt(title, 0.5).text, 'AB');
+  assert.equal(Titles.frameAt(title, 2).text, 'ABCD');
+  assert.equal(Titles.frameAt(title, 3.5).text, 'AB');
+  assert.equal(Titles.frameAt(title, 2).alpha, 1);
+});
+
+test('frameAt glitches are a pure function of time and settle', () => {
+  const title = { text: 'DRONE NIGHT', time: [0, 4], in: { type: 'glitch', duration: 1 }, out: { type: 'none' } };
+  assert.deepEqual(Titles.frameAt(title, 0.2, 5), Titles.frameAt(title, 0.2, 5));
+  assert.equal(Titles.frameAt(title, 0.2, 5).text.length, title.text.length);
+  assert.ok(Titles.frameAt(title, 0.2, 5).ghost > 0);
+  assert.deepEqual(Titles.frameAt(title, 2, 5), { text: 'DRONE NIGHT', alpha: 1, shift: 0, ghost: 0 });
+});
+
+// ============================================================================
+// DRAWING
+// ============================================================================
+
+test('draw places presets inside the title-safe area', () => {
+  const ctx = mockContext();
+  const titles = [
+    { text: 'Top', time: [0, 2], position: 'top', in: { type: 'none' } },
+    { text: 'Later', time: [5, 6] }
+  ];
+  assert.equal(Titles.draw(ctx, 1000, 2000, titles, 1), 1);
+
+  const [, text, x, y, alpha] = ctx.calls.find(call => call[0] === 'fillText');
+  assert.equal(text, 'Top');
+  close(x, 500);
+  close(y, 2000 * 0.05);
+  close(alpha, 1);
+});
+
+test('draw puts a rule over lower-thirds and honours anchors', () => {
+  const ctx = mockContext();
+  const titles = [
+    { text: 'Name', time: [0, 2], position: 'lower-third', in: { type: 'none' } },
+    { text: 'Pin', time: [0, 2], anchor: [0.25, 0.5], in: { type: 'none' } }
+  ];
+  assert.equal(Titles.draw(ctx, 1000, 1000, titles, 1), 2);
+  assert.equal(ctx.calls.filter(call => call[0] === 'stroke').length, 1);
+
+  const pin = ctx.calls.find(call => call[1] === 'Pin');
+  close(pin[2], 250);
+  close(pin[3], 500 - 0.06 * 1000 * 1.2 / 2);
+});
+
+test('fitScene scales title ranges and animation durations with the scene', () => {
+  const scene = {
+    meta: { duration: 10 },
+    shots: [{ name: 'A', time: [0, 10] }],
+    titles: [{ text: 'Hi', time: [1, 3], in: { type: 'fade', duration: 0.5 }, out: { type: 'typewriter', duration: 1 } }]
+  };
+  AudioTiming.fitScene(scene, 20);
+  assert.deepEqual(scene.titles[0].time, [2, 6]);
+  assert.equal(scene.titles[0].in.duration, 1);
+  assert.equal(scene.titles[0].out.duration, 2);
+});
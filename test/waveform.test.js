@@ -0,0 +1,77 @@
+/**
+ * Drone Night POV - Waveform & Spectrogram Tests
+ * Run with `node --test test/` (Node 18+, no dependencies).
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Waveform = require('../src/waveform.js');
+
+const SAMPLE_RATE = 8000;
+
+function sine(hz, seconds, amplitude) {
+  const samples = new Float32Array(SAMPLE_RATE * seconds);
+  for (let i = 0; i < samples.length; i++) samples[i] = Math.sin(2 * Math.PI * hz * i / SAMPLE_RATE) * amplitude;
+  return samples;
+}
+
+// ============================================================================
+// WAVEFORM
+// ============================================================================
+
+test('mixDown averages channels and passes mono through', () => {
+  const left = new Float32Array([1, 0.5, -1]);
+  assert.equal(Waveform.mixDown([left]), left);
+  assert.deepEqual(Array.from(Waveform.mixDown([left, new Float32Array([0, 0.5, 1])])), [0.5, 0.5, 0]);
+});
+
+test('waveformPeaks keeps one min/max pair per slice', () => {
+  const samples = new Float32Array([0.1, -0.2, 0.3, 0.9, -0.8, 0]);
+  const peaks = Waveform.waveformPeaks(samples, 6, 2); // 3 samples per slice
+
+  assert.equal(peaks.rate, 2);
+  assert.deepEqual(Array.from(peaks.min, v => Math.round(v * 10) / 10), [-0.2, -0.8]);
+  assert.deepEqual(Array.from(peaks.max, v => Math.round(v * 10) / 10), [0.3, 0.9]);
+});
+
+test('peakRange spans every slice in the range, at least one', () => {
+  const peaks = { rate: 10, min: new Float32Array([-0.1, -0.5, -0.2]), max: new Float32Array([0.2, 0.1, 0.7]) };
+  assert.deepEqual(Waveform.peakRange(peaks, 0, 0.3).map(v => Math.round(v * 10) / 10), [-0.5, 0.7]);
+  assert.deepEqual(Waveform.peakRange(peaks, 0.1, 0.1).map(v => Math.round(v * 10) / 10), [-0.5, 0.1]);
+  assert.deepEqual(Waveform.peakRange(peaks, 5, 6), [0, 0]);
+});
+
+// ============================================================================
+// SPECTROGRAM
+// ============================================================================
+
+test('spectrogram has columns per second and log bins up to Nyquist', () => {
+  const result = Waveform.spectrogram(sine(1000, 2, 0.5), SAMPLE_RATE, { columnsPerSecond: 10, bins: 24 });
+  assert.equal(result.columns, 20);
+  assert.equal(result.rate, 10);
+  assert.equal(result.bins, 24);
+  assert.equal(result.maxHz, 4000);
+  assert.equal(result.data.length, 20 * 24);
+  assert.ok(result.data.every(v => v >= 0 && v <= 1));
+});
+
+test('spectrogram puts a tone in the bin covering its frequency', () => {
+  const bins = 24;
+  const result = Waveform.spectrogram(sine(1000, 1, 0.5), SAMPLE_RATE, { columnsPerSecond: 8, bins });
+  const expected = Math.floor(bins * Math.log(1000 / result.minHz) / Math.log(result.maxHz / result.minHz));
+
+  for (let c = 1; c < result.columns - 1; c++) {
+    const column = Array.from(result.data.subarray(c * bins, (c + 1) * bins));
+    const loudest = column.indexOf(Math.max.apply(null, column));
+    assert.ok(Math.abs(loudest - expected) <= 1, `column ${c}: bin ${loudest}, expected ~${expected}`);
+    assert.equal(column[loudest], 1);
+  }
+});
+
+test('spectrogram caps the column count for long tracks', () => {
+  const result = Waveform.spectrogram(new Float32Array(SAMPLE_RATE * 4), SAMPLE_RATE, { columnsPerSecond: 40, maxColumns: 50 });
+  assert.equal(result.columns, 50);
+  assert.equal(result.rate, 12.5);
+});
@@ -0,0 +1,47 @@
+/**
+ * Drone Night POV - ZIP Writer Tests
+ * Run with `node --test test/` (Node 18+, no dependencies).
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Zip = require('../src/zip.js');
+
+async function bytesOf(blob) {
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+test('crc32 matches the reference value', () => {
+  assert.equal(Zip.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+});
+
+test('createArchive stores files and counts them in the end record', async () => {
+  const archive = Zip.createArchive();
+  await archive.addFile('frames/frame_00000.png', new Blob(['first']));
+  await archive.addFile('frames/frame_00001.png', new Blob(['second!']));
+  assert.equal(archive.count, 2);
+
+  const bytes = await bytesOf(archive.toBlob());
+  const view = new DataView(bytes.buffer);
+  const end = bytes.length - 22;
+
+  assert.equal(view.getUint32(0, true), 0x04034b50);
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  assert.equal(view.getUint16(end + 8, true), 2);
+  assert.equal(view.getUint16(end + 10, true), 2);
+  assert.equal(view.getUint32(end + 16, true), archive.size, 'central directory offset');
+  assert.equal(new TextDecoder().decode(bytes.subarray(30 + 22, 30 + 22 + 5)), 'first');
+});
+
+test('createArchive refuses more files than the end record can count', async () => {
+  const archive = Zip.createArchive();
+  const empty = new Blob([]);
+  for (let i = 0; i < Zip.MAX_ENTRIES; i++) {
+    await archive.addFile(String(i), empty);
+  }
+
+  await assert.rejects(archive.addFile('overflow', empty), /at most 65535 files/);
+  assert.equal(archive.count, 65535);
+});